@@ -0,0 +1,45 @@
+// config/chartOfAccounts.js - General ledger accounts
+// Interest is recognised when it is collected, so Loans Receivable holds
+// outstanding principal only. Penalties are recognised when they accrue.
+const ACCOUNTS = {
+  CASH: '1000',
+  BANK: '1010',
+  LOANS_RECEIVABLE: '1100',
+  PENALTY_RECEIVABLE: '1110',
+  REFINANCE_CLEARING: '1200',
+  INTEREST_INCOME: '4000',
+  FEE_INCOME: '4010',
+  PENALTY_INCOME: '4020',
+  WRITE_OFF_EXPENSE: '5000'
+};
+
+// Asset and expense accounts carry debit balances; income accounts carry credit balances
+const chartOfAccounts = [
+  { code: ACCOUNTS.CASH, name: 'Cash', type: 'Asset', normalBalance: 'debit' },
+  { code: ACCOUNTS.BANK, name: 'Bank', type: 'Asset', normalBalance: 'debit' },
+  { code: ACCOUNTS.LOANS_RECEIVABLE, name: 'Loans Receivable', type: 'Asset', normalBalance: 'debit' },
+  { code: ACCOUNTS.PENALTY_RECEIVABLE, name: 'Penalty Receivable', type: 'Asset', normalBalance: 'debit' },
+  // Settlement of an old loan from a new loan's proceeds passes through here and nets to zero
+  { code: ACCOUNTS.REFINANCE_CLEARING, name: 'Refinance Clearing', type: 'Asset', normalBalance: 'debit' },
+  { code: ACCOUNTS.INTEREST_INCOME, name: 'Interest Income', type: 'Income', normalBalance: 'credit' },
+  { code: ACCOUNTS.FEE_INCOME, name: 'Fee Income', type: 'Income', normalBalance: 'credit' },
+  { code: ACCOUNTS.PENALTY_INCOME, name: 'Penalty Income', type: 'Income', normalBalance: 'credit' },
+  { code: ACCOUNTS.WRITE_OFF_EXPENSE, name: 'Write-off Expense', type: 'Expense', normalBalance: 'debit' }
+];
+
+// Cash goes to the Cash account, refinance settlements to the clearing account;
+// every other payment method settles through Bank
+const cashAccountFor = (paymentMethod) => {
+  if (!paymentMethod || paymentMethod === 'Cash') return ACCOUNTS.CASH;
+  if (paymentMethod === 'Refinance') return ACCOUNTS.REFINANCE_CLEARING;
+  return ACCOUNTS.BANK;
+};
+
+const findAccount = (code) => chartOfAccounts.find((account) => account.code === code) || null;
+
+module.exports = {
+  ACCOUNTS,
+  chartOfAccounts,
+  cashAccountFor,
+  findAccount
+};
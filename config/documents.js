@@ -0,0 +1,36 @@
+// config/documents.js - Upload limits and storage settings for customer/loan documents
+
+// Accepted file types: extension used when storing, and the leading bytes
+// the file contents must start with (the declared type alone is not trusted)
+const ALLOWED_FILE_TYPES = {
+  'image/jpeg': { extension: '.jpg', signature: [0xFF, 0xD8, 0xFF] },
+  'image/png': { extension: '.png', signature: [0x89, 0x50, 0x4E, 0x47] },
+  'application/pdf': { extension: '.pdf', signature: [0x25, 0x50, 0x44, 0x46] }
+};
+
+const CUSTOMER_DOCUMENT_TYPES = ['ID Card', 'Passport Photo', 'Utility Bill', 'Business Registration', 'Other'];
+const LOAN_DOCUMENT_TYPES = ['Application Form', 'Guarantor Form', 'Offer Letter', 'Collateral', 'Other'];
+
+const maxFileSizeMb = () => Number(process.env.DOCUMENT_MAX_SIZE_MB) || 5;
+
+// DOCUMENT_STORAGE=local (default) keeps files under DOCUMENT_LOCAL_DIR;
+// DOCUMENT_STORAGE=s3 uses any S3-compatible service (S3_ENDPOINT for non-AWS)
+const storageConfig = () => ({
+  driver: process.env.DOCUMENT_STORAGE || 'local',
+  localDir: process.env.DOCUMENT_LOCAL_DIR || 'uploads',
+  s3: {
+    bucket: process.env.S3_BUCKET,
+    region: process.env.S3_REGION || 'us-east-1',
+    endpoint: process.env.S3_ENDPOINT,
+    accessKeyId: process.env.S3_ACCESS_KEY_ID,
+    secretAccessKey: process.env.S3_SECRET_ACCESS_KEY
+  }
+});
+
+module.exports = {
+  ALLOWED_FILE_TYPES,
+  CUSTOMER_DOCUMENT_TYPES,
+  LOAN_DOCUMENT_TYPES,
+  maxFileSizeMb,
+  storageConfig
+};
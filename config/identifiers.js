@@ -0,0 +1,23 @@
+// config/identifiers.js - Formats for generated document IDs
+// scope controls the counter and prefix:
+//   'global'      LOAN000123 (default)
+//   'year'        LOAN-2026-000123
+//   'branch'      LOAN-LAG-000123
+//   'branch-year' LOAN-LAG-2026-000123
+// Each scope keeps its own sequence, so numbering restarts per branch/year.
+const ID_SCOPES = ['global', 'year', 'branch', 'branch-year'];
+
+const ID_FORMATS = {
+  customer: { prefix: 'CUST', width: 5, scope: process.env.CUSTOMER_ID_SCOPE || 'global' },
+  loan: { prefix: 'LOAN', width: 6, scope: process.env.LOAN_ID_SCOPE || 'global' },
+  repayment: { prefix: 'RCP', width: 7, scope: process.env.RECEIPT_ID_SCOPE || 'global' },
+  staff: { prefix: 'STAFF', width: 4, scope: process.env.STAFF_ID_SCOPE || 'global' },
+  group: { prefix: 'GRP', width: 5, scope: process.env.GROUP_ID_SCOPE || 'global' },
+  collection: { prefix: 'COL', width: 6, scope: process.env.COLLECTION_ID_SCOPE || 'global' },
+  journal: { prefix: 'JE', width: 7, scope: 'global' }
+};
+
+module.exports = {
+  ID_SCOPES,
+  ID_FORMATS
+};
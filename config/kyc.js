@@ -0,0 +1,27 @@
+// config/kyc.js - KYC checklist items and what each customer type must provide
+// An item is satisfied by a current uploaded document of the given type, or by
+// every listed customer field being filled in.
+const KYC_ITEMS = {
+  ID_CARD: { label: 'ID card', document: 'ID Card' },
+  PASSPORT_PHOTO: { label: 'Passport photo', document: 'Passport Photo' },
+  UTILITY_BILL: { label: 'Utility bill (proof of address)', document: 'Utility Bill' },
+  BUSINESS_REGISTRATION: { label: 'Business registration document', document: 'Business Registration' },
+  BUSINESS_DETAILS: { label: 'Business name and address', fields: ['businessName', 'businessAddress'] },
+  GROUP_NAME: { label: 'Group name', fields: ['groupName'] },
+  GROUP_LEADER: { label: 'Group leader details', fields: ['groupLeader.name', 'groupLeader.phoneNumber'] },
+  UNION_LEADER: { label: 'Union leader details', fields: ['unionLeader.name', 'unionLeader.phoneNumber'] },
+  UNION_SECRETARY: { label: 'Union secretary details', fields: ['unionSecretary.name', 'unionSecretary.phoneNumber'] }
+};
+
+// Required for every customer of a type, whatever the product.
+// Product-specific items are set on each loan product (LoanProduct.kycRequirements).
+const CUSTOMER_TYPE_REQUIREMENTS = {
+  Individual: ['ID_CARD', 'PASSPORT_PHOTO'],
+  Group: ['ID_CARD', 'PASSPORT_PHOTO', 'GROUP_NAME'],
+  Business: ['ID_CARD', 'PASSPORT_PHOTO', 'BUSINESS_REGISTRATION', 'BUSINESS_DETAILS']
+};
+
+module.exports = {
+  KYC_ITEMS,
+  CUSTOMER_TYPE_REQUIREMENTS
+};
@@ -0,0 +1,72 @@
+// jobs/overdueSweep.js - Mark missed loans Overdue and escalate to Defaulted
+const mongoose = require('mongoose');
+const Loan = require('../models/Loan');
+const LoanProduct = require('../models/LoanProduct');
+const { refreshCreditScore } = require('../utils/creditScore');
+
+// Sweep Active and Overdue loans as of a date and return a summary of transitions
+const runOverdueSweep = async ({ asOf = new Date() } = {}) => {
+  const summary = {
+    asOf,
+    checked: 0,
+    markedOverdue: 0,
+    markedDefaulted: 0,
+    skipped: 0,
+    scoresRefreshed: 0,
+    transitions: []
+  };
+
+  // Current products, for loans issued before terms were snapshotted
+  const products = await LoanProduct.find();
+  const productsByName = new Map(products.map((product) => [product.name, product]));
+
+  const loans = await Loan.find({ status: { $in: ['Active', 'Overdue'] } });
+
+  for (const loan of loans) {
+    summary.checked++;
+    loan.refreshScheduleStatus(asOf);
+
+    if (loan.status === 'Active') {
+      const reason = loan.getOverdueReason(asOf);
+
+      if (reason) {
+        loan.changeStatus('Overdue', reason, undefined, asOf);
+        summary.markedOverdue++;
+        summary.transitions.push({ loanId: loan.loanId, from: 'Active', to: 'Overdue', reason });
+      }
+    }
+
+    if (loan.status === 'Overdue') {
+      const terms = (loan.productTerms && loan.productTerms.name) ? loan.productTerms : productsByName.get(loan.loanProduct);
+      const graceDays = terms ? terms.defaultGraceDays : undefined;
+      const dpd = loan.getDaysPastDue(asOf);
+
+      if (graceDays !== undefined && dpd > graceDays) {
+        const reason = `${dpd} days past due exceeds ${graceDays}-day grace period`;
+        loan.changeStatus('Defaulted', reason, undefined, asOf);
+        summary.markedDefaulted++;
+        summary.transitions.push({ loanId: loan.loanId, from: 'Overdue', to: 'Defaulted', reason });
+      }
+    }
+
+    if (loan.isModified()) {
+      try {
+        await loan.save();
+      } catch (error) {
+        // The loan changed while being swept (e.g. a repayment was approved); the next run picks it up
+        if (!(error instanceof mongoose.Error.VersionError)) throw error;
+        summary.skipped++;
+      }
+    }
+  }
+
+  // Days past due have moved on, so rescore everyone with a loan under watch
+  const customerIds = [...new Set(loans.map((loan) => String(loan.customer)))];
+  for (const customerId of customerIds) {
+    if (await refreshCreditScore(customerId, { asOf })) summary.scoresRefreshed++;
+  }
+
+  return summary;
+};
+
+module.exports = { runOverdueSweep };
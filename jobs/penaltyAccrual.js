@@ -0,0 +1,106 @@
+// jobs/penaltyAccrual.js - Charge late fees on loans with missed installments
+const Loan = require('../models/Loan');
+const LoanProduct = require('../models/LoanProduct');
+const Penalty = require('../models/Penalty');
+const { roundMoney } = require('../utils/loanSchedule');
+const { postPenalty } = require('../utils/ledger');
+const { withTransaction } = require('../utils/transaction');
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// Accrual period for a date: the day itself, or the Monday of its week
+const periodKeyFor = (asOf, frequency) => {
+  const date = new Date(asOf);
+  date.setHours(0, 0, 0, 0);
+
+  if (frequency === 'weekly') {
+    date.setDate(date.getDate() - ((date.getDay() + 6) % 7));
+    return `W${date.toISOString().slice(0, 10)}`;
+  }
+  return `D${date.toISOString().slice(0, 10)}`;
+};
+
+// Accrue one period's penalty for every loan with installments past the penalty grace period
+const runPenaltyAccrual = async ({ asOf = new Date() } = {}) => {
+  const summary = {
+    asOf,
+    checked: 0,
+    charged: 0,
+    totalCharged: 0
+  };
+
+  // Current products, for loans issued before terms were snapshotted
+  const products = await LoanProduct.find();
+  const productsByName = new Map(products.map((product) => [product.name, product]));
+
+  const loans = await Loan.find({
+    status: { $in: Loan.REPAYABLE_STATUSES },
+    'schedule.0': { $exists: true }
+  });
+
+  for (const loan of loans) {
+    summary.checked++;
+
+    const terms = (loan.productTerms && loan.productTerms.penalty && loan.productTerms.penalty.penaltyType)
+      ? loan.productTerms
+      : productsByName.get(loan.loanProduct);
+    const penalty = terms && terms.penalty;
+
+    if (!penalty || penalty.penaltyType === 'none' || !penalty.amount) continue;
+
+    const cutoff = new Date(asOf.getTime() - ((penalty.graceDays || 0) * MS_PER_DAY));
+    const periodKey = periodKeyFor(asOf, penalty.frequency);
+
+    let amount;
+    try {
+      amount = await withTransaction(async (session) => {
+        // Re-read the loan: a repayment may have been applied since the scan
+        const current = await Loan.findById(loan._id).session(session);
+
+        // Installments still unpaid after the penalty grace period
+        const late = current.schedule.filter((item) => item.amountPaid < item.totalDue && item.dueDate < cutoff);
+
+        if (late.length === 0) return 0;
+        if (await Penalty.exists({ loan: current._id, periodKey }).session(session)) return 0;
+
+        const overdueAmount = roundMoney(late.reduce((sum, item) => sum + (item.totalDue - item.amountPaid), 0));
+        const charge = penalty.penaltyType === 'percentage'
+          ? roundMoney(overdueAmount * (penalty.amount / 100))
+          : roundMoney(penalty.amount);
+
+        if (charge <= 0) return 0;
+
+        const [entry] = await Penalty.create([{
+          loan: current._id,
+          customer: current.customer,
+          installmentNumber: late[0].installmentNumber,
+          accrualDate: asOf,
+          periodKey,
+          penaltyType: penalty.penaltyType,
+          rate: penalty.amount,
+          overdueAmount,
+          amount: charge
+        }], { session });
+
+        current.adjustPenalty(charge);
+        await current.save();
+        await postPenalty(entry, current);
+
+        return charge;
+      });
+    } catch (error) {
+      // Another run already charged this period
+      if (error.code === 11000) continue;
+      throw error;
+    }
+
+    if (amount <= 0) continue;
+
+    summary.charged++;
+    summary.totalCharged = roundMoney(summary.totalCharged + amount);
+  }
+
+  return summary;
+};
+
+module.exports = { runPenaltyAccrual };
@@ -0,0 +1,67 @@
+// jobs/scheduler.js - In-process daily job scheduler
+const { runOverdueSweep } = require('./overdueSweep');
+const { runPenaltyAccrual } = require('./penaltyAccrual');
+
+// Jobs run in order, once a day
+const dailyJobs = [
+  { name: 'Overdue sweep', run: runOverdueSweep },
+  { name: 'Penalty accrual', run: runPenaltyAccrual }
+];
+
+let timer = null;
+let running = false;
+
+// Milliseconds until the next occurrence of the given hour (server local time)
+const msUntilHour = (hour) => {
+  const now = new Date();
+  const next = new Date(now);
+  next.setHours(hour, 0, 0, 0);
+  if (next <= now) next.setDate(next.getDate() + 1);
+  return next - now;
+};
+
+// Run every daily job once, logging each result
+const runDailyJobs = async () => {
+  if (running) {
+    console.log('⚠️  Daily jobs already running, skipping this run');
+    return;
+  }
+
+  running = true;
+  try {
+    for (const job of dailyJobs) {
+      try {
+        const result = await job.run({ asOf: new Date() });
+        console.log(`⏰ ${job.name} finished`, JSON.stringify({ ...result, transitions: undefined }));
+      } catch (error) {
+        console.error(`❌ ${job.name} failed:`, error.message);
+      }
+    }
+  } finally {
+    running = false;
+  }
+};
+
+// Start the scheduler (disable with SCHEDULER_ENABLED=false, set the hour with DAILY_JOBS_HOUR)
+const startScheduler = () => {
+  if (process.env.SCHEDULER_ENABLED === 'false' || timer) return;
+
+  const hour = parseInt(process.env.DAILY_JOBS_HOUR, 10) || 1;
+
+  const scheduleNext = () => {
+    timer = setTimeout(async () => {
+      await runDailyJobs();
+      scheduleNext();
+    }, msUntilHour(hour));
+  };
+
+  scheduleNext();
+  console.log(`⏰ Daily jobs scheduled for ${String(hour).padStart(2, '0')}:00`);
+};
+
+const stopScheduler = () => {
+  clearTimeout(timer);
+  timer = null;
+};
+
+module.exports = { startScheduler, stopScheduler, runDailyJobs };
@@ -0,0 +1,122 @@
+// middleware/idempotency.js - Replay the original response for retried POSTs
+const crypto = require('crypto');
+const IdempotencyKey = require('../models/IdempotencyKey');
+
+const HEADER = 'Idempotency-Key';
+const MAX_KEY_LENGTH = 255;
+const ttlHours = () => Number(process.env.IDEMPOTENCY_TTL_HOURS) || 24;
+// How long a key stays locked while its request runs; a lock left by a crashed request lapses after this
+const lockMinutes = () => Number(process.env.IDEMPOTENCY_LOCK_MINUTES) || 5;
+
+// JSON with object keys sorted, so the same body always hashes the same way
+const canonical = (value) => {
+  if (Array.isArray(value)) return `[${value.map(canonical).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map((key) => `${JSON.stringify(key)}:${canonical(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+};
+
+const hashRequest = (req) => crypto
+  .createHash('sha256')
+  .update(`${req.method} ${req.baseUrl}${req.path} ${canonical(req.body || {})}`)
+  .digest('hex');
+
+// Reserve the key for this request, clearing an expired record or lapsed lock the TTL monitor has not removed yet
+const reserve = async (req, key, requestHash) => {
+  const owner = { user: req.user._id, key };
+  await IdempotencyKey.deleteOne({ ...owner, expiresAt: { $lte: new Date() } });
+
+  try {
+    await IdempotencyKey.create({
+      ...owner,
+      method: req.method,
+      path: `${req.baseUrl}${req.path}`,
+      requestHash,
+      expiresAt: new Date(Date.now() + lockMinutes() * 60 * 1000)
+    });
+    return null;
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+    return IdempotencyKey.findOne(owner);
+  }
+};
+
+// ===============================
+// IDEMPOTENT ROUTES (use after protect)
+// ===============================
+exports.idempotent = async (req, res, next) => {
+  const key = req.get(HEADER);
+  if (!key) return next();
+
+  if (key.length > MAX_KEY_LENGTH) {
+    return res.status(400).json({
+      success: false,
+      message: `${HEADER} must be at most ${MAX_KEY_LENGTH} characters`
+    });
+  }
+
+  try {
+    const requestHash = hashRequest(req);
+    const existing = await reserve(req, key, requestHash);
+
+    if (existing) {
+      if (existing.requestHash !== requestHash) {
+        return res.status(422).json({
+          success: false,
+          message: `${HEADER} has already been used for a different request`
+        });
+      }
+
+      if (existing.status !== 'Completed') {
+        return res.status(409).json({
+          success: false,
+          message: `A request with this ${HEADER} is still being processed`
+        });
+      }
+
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(existing.responseStatus).json(existing.responseBody);
+    }
+
+    const owner = { user: req.user._id, key };
+    let answered = false;
+
+    // Store the response once the route answers; server errors release the key so the client can retry
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      answered = true;
+      const stored = res.statusCode >= 500
+        ? IdempotencyKey.deleteOne(owner)
+        : IdempotencyKey.updateOne(owner, {
+          $set: {
+            status: 'Completed',
+            responseStatus: res.statusCode,
+            responseBody: JSON.parse(JSON.stringify(body)),
+            expiresAt: new Date(Date.now() + ttlHours() * 60 * 60 * 1000)
+          }
+        });
+
+      stored
+        .catch((error) => console.error(`Failed to store ${HEADER} result:`, error.message))
+        .finally(() => json(body));
+      return res;
+    };
+
+    // A response sent some other way (e.g. the error handler after a throw) was never stored, so
+    // release the key. If the client hung up while the route is still running, keep the lock and
+    // let res.json store the result when it answers.
+    res.on('close', () => {
+      if (answered || !res.writableFinished) return;
+      IdempotencyKey.deleteOne({ ...owner, status: 'In Progress' })
+        .catch((error) => console.error(`Failed to release ${HEADER}:`, error.message));
+    });
+
+    next();
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
@@ -0,0 +1,52 @@
+// middleware/upload.js - Accept a single document file (multipart field "file")
+const multer = require('multer');
+const { ALLOWED_FILE_TYPES, maxFileSizeMb } = require('../config/documents');
+
+// Files are held in memory until stored, so the size limit also bounds memory use
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: maxFileSizeMb() * 1024 * 1024, files: 1 },
+  fileFilter: (req, file, callback) => {
+    if (!ALLOWED_FILE_TYPES[file.mimetype]) {
+      return callback(new Error(`File type ${file.mimetype} is not allowed; upload ${Object.keys(ALLOWED_FILE_TYPES).join(', ')}`));
+    }
+    return callback(null, true);
+  }
+}).single('file');
+
+// True when the file starts with the signature bytes of its declared type
+const contentMatchesType = (file) => {
+  const { signature } = ALLOWED_FILE_TYPES[file.mimetype];
+  return signature.every((byte, index) => file.buffer[index] === byte);
+};
+
+const uploadDocument = (req, res, next) => {
+  upload(req, res, (error) => {
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.code === 'LIMIT_FILE_SIZE'
+          ? `File is larger than the ${maxFileSizeMb()} MB limit`
+          : error.message
+      });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'A file is required in the "file" field'
+      });
+    }
+
+    if (!contentMatchesType(req.file)) {
+      return res.status(400).json({
+        success: false,
+        message: `File contents are not a valid ${req.file.mimetype} file`
+      });
+    }
+
+    return next();
+  });
+};
+
+module.exports = { uploadDocument };
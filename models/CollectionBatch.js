@@ -0,0 +1,153 @@
+// models/CollectionBatch.js - Repayments collected at one group meeting and posted together
+const mongoose = require('mongoose');
+const { nextId } = require('../utils/identifiers');
+const { roundMoney } = require('../utils/loanSchedule');
+
+const PAYMENT_METHODS = ['Cash', 'Bank Transfer', 'Mobile Money', 'Cheque'];
+
+// One line of the collection sheet as posted
+const CollectionLineSchema = new mongoose.Schema({
+  loan: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Loan'
+  },
+  // Borrower who paid (set when the line was posted)
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer'
+  },
+  paymentAmount: {
+    type: Number,
+    default: 0
+  },
+  status: {
+    type: String,
+    enum: ['Posted', 'Failed'],
+    required: true
+  },
+  // Set when the line was posted
+  repayment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Repayment'
+  },
+  receiptId: {
+    type: String
+  },
+  // Set when the line failed
+  error: {
+    type: String
+  }
+}, {
+  _id: false
+});
+
+const CollectionBatchSchema = new mongoose.Schema({
+  // Batch ID (Auto-generated)
+  batchId: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
+
+  // Group whose meeting this was (optional for ad-hoc field collections)
+  group: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Group'
+  },
+  meetingDate: {
+    type: Date,
+    required: [true, 'Meeting date is required']
+  },
+  paymentMethod: {
+    type: String,
+    enum: PAYMENT_METHODS,
+    default: 'Cash'
+  },
+
+  lines: [CollectionLineSchema],
+
+  // Reconciliation: what the sheet expected, what was posted, and the cash handed in
+  expectedTotal: {
+    type: Number
+  },
+  sheetTotal: {
+    type: Number,
+    default: 0
+  },
+  postedTotal: {
+    type: Number,
+    default: 0
+  },
+  failedTotal: {
+    type: Number,
+    default: 0
+  },
+  cashReceived: {
+    type: Number,
+    required: [true, 'Cash received is required'],
+    min: [0, 'Cash received cannot be negative']
+  },
+  // cashReceived - postedTotal
+  variance: {
+    type: Number,
+    default: 0
+  },
+  reconciliationStatus: {
+    type: String,
+    enum: ['Balanced', 'Short', 'Over'],
+    default: 'Balanced'
+  },
+
+  // Collected By (Loan Officer or Admin)
+  collectedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  notes: {
+    type: String,
+    trim: true
+  }
+
+}, {
+  timestamps: true
+});
+
+CollectionBatchSchema.index({ group: 1, meetingDate: -1 });
+
+// Generate Batch ID before saving
+CollectionBatchSchema.pre('save', async function(next) {
+  try {
+    if (!this.batchId) {
+      this.batchId = await nextId('collection', { user: this.collectedBy, session: this.$session() });
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Total the lines and compare the posted amount with the cash handed in
+CollectionBatchSchema.methods.reconcile = function() {
+  const total = (status) => roundMoney(this.lines
+    .filter((line) => !status || line.status === status)
+    .reduce((sum, line) => sum + (line.paymentAmount || 0), 0));
+
+  this.sheetTotal = total();
+  this.postedTotal = total('Posted');
+  this.failedTotal = total('Failed');
+  this.variance = roundMoney(this.cashReceived - this.postedTotal);
+
+  if (this.variance === 0) {
+    this.reconciliationStatus = 'Balanced';
+  } else {
+    this.reconciliationStatus = this.variance < 0 ? 'Short' : 'Over';
+  }
+
+  return this.variance;
+};
+
+CollectionBatchSchema.statics.PAYMENT_METHODS = PAYMENT_METHODS;
+
+module.exports = mongoose.model('CollectionBatch', CollectionBatchSchema);
@@ -0,0 +1,33 @@
+// models/Counter.js - Atomic sequence counters for generated IDs
+const mongoose = require('mongoose');
+
+const CounterSchema = new mongoose.Schema({
+  // Counter key, e.g. 'LOAN' or 'LOAN-LAG-2026'
+  _id: {
+    type: String,
+    required: true
+  },
+  seq: {
+    type: Number,
+    default: 0
+  }
+}, {
+  versionKey: false
+});
+
+// Increment and return the next value for a key (starting at 1)
+CounterSchema.statics.next = async function(key, session = null) {
+  const counter = await this.findOneAndUpdate(
+    { _id: key },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true, session }
+  );
+  return counter.seq;
+};
+
+// Raise a counter to at least a value (used when seeding from existing IDs)
+CounterSchema.statics.ensureAtLeast = async function(key, value) {
+  await this.updateOne({ _id: key }, { $max: { seq: value } }, { upsert: true });
+};
+
+module.exports = mongoose.model('Counter', CounterSchema);
@@ -1,5 +1,8 @@
 // models/Customer.js - Customer Schema
 const mongoose = require('mongoose');
+const { nextId } = require('../utils/identifiers');
+const { documentSchema } = require('./DocumentSchema');
+const { CUSTOMER_DOCUMENT_TYPES } = require('../config/documents');
 
 const CustomerSchema = new mongoose.Schema({
   // Basic Information
@@ -40,7 +43,7 @@ const CustomerSchema = new mongoose.Schema({
   // Customer Type
   customerType: {
     type: String,
-    enum: ['Individual', 'Group'],
+    enum: ['Individual', 'Group', 'Business'],
     required: true,
     default: 'Individual'
   },
@@ -48,8 +51,8 @@ const CustomerSchema = new mongoose.Schema({
   // Loan Product Preferences
   preferredLoanProduct: {
     type: String,
-    enum: ['Monthly', 'Weekly', 'Daily'],
-    required: [true, 'Preferred loan product is required']
+    required: [true, 'Preferred loan product is required'],
+    trim: true
   },
   
   // Group Information (for Group customers)
@@ -142,23 +145,13 @@ const CustomerSchema = new mongoose.Schema({
     }
   },
   
-  // Documents
-  documents: [{
-    documentType: {
-      type: String,
-      enum: ['ID Card', 'Passport Photo', 'Utility Bill', 'Business Registration', 'Other']
-    },
-    documentUrl: String,
-    uploadedAt: {
-      type: Date,
-      default: Date.now
-    }
-  }],
+  // Documents (all versions; see models/DocumentSchema.js)
+  documents: [documentSchema(CUSTOMER_DOCUMENT_TYPES)],
   
   // Customer Status
   status: {
     type: String,
-    enum: ['Pending', 'Approved', 'Rejected', 'Active', 'Inactive'],
+    enum: ['Pending', 'Approved', 'Rejected', 'Active', 'Inactive', 'Merged'],
     default: 'Pending'
   },
   
@@ -193,6 +186,66 @@ const CustomerSchema = new mongoose.Schema({
     type: Date
   },
   
+  // Behavioural Credit Score (utils/creditScore.js), refreshed on repayment and by the daily sweep
+  creditScore: {
+    score: Number,
+    grade: {
+      type: String,
+      enum: ['A', 'B', 'C', 'D', 'E']
+    },
+    factors: [{
+      _id: false,
+      factor: String,
+      weight: Number,
+      points: Number,
+      value: mongoose.Schema.Types.Mixed,
+      explanation: String
+    }],
+    computedAt: Date
+  },
+  
+  // KYC Override (Admin approved with checklist items missing)
+  kycOverride: {
+    reason: String,
+    missingItems: [String],
+    overriddenBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    overriddenAt: Date
+  },
+  
+  // Duplicate Check Override (Admin registered despite likely matches)
+  duplicateOverride: {
+    justification: String,
+    matchedCustomers: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Customer'
+    }],
+    overriddenBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    overriddenAt: Date
+  },
+  
+  // Merge Info (a merged duplicate is kept and points at the surviving record)
+  mergedInto: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer'
+  },
+  mergedAt: {
+    type: Date
+  },
+  mergedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  mergeReason: {
+    type: String,
+    trim: true
+  },
+  
   // Notes
   notes: {
     type: String,
@@ -207,21 +260,7 @@ const CustomerSchema = new mongoose.Schema({
 CustomerSchema.pre('save', async function(next) {
   try {
     if (!this.customerId) {
-      // Find the customer with the highest customerId
-      const lastCustomer = await this.constructor
-        .findOne({}, { customerId: 1 })
-        .sort({ customerId: -1 })
-        .lean();
-
-      let nextNumber = 1;
-      
-      if (lastCustomer && lastCustomer.customerId) {
-        // Extract the number from "CUST00010" -> 10
-        const lastNumber = parseInt(lastCustomer.customerId.replace('CUST', ''));
-        nextNumber = lastNumber + 1;
-      }
-
-      this.customerId = `CUST${String(nextNumber).padStart(5, '0')}`;
+      this.customerId = await nextId('customer', { user: this.createdBy, session: this.$session() });
     }
     next();
   } catch (error) {
@@ -0,0 +1,55 @@
+// models/DocumentSchema.js - Uploaded document embedded in a customer or loan
+// Replacing a document adds a new version; the old one stays with isCurrent false.
+const mongoose = require('mongoose');
+
+// documentTypes restricts documentType at the model level (omit to allow any)
+const documentSchema = (documentTypes) => new mongoose.Schema({
+  documentType: documentTypes ? { type: String, enum: documentTypes } : String,
+  // Download link (or, for older records, an externally hosted file)
+  documentUrl: String,
+
+  // Stored file
+  originalName: String,
+  mimeType: String,
+  size: Number,
+  checksum: String,
+  storage: {
+    type: String,
+    enum: ['local', 's3']
+  },
+  storageKey: String,
+
+  // Versioning
+  version: {
+    type: Number,
+    default: 1
+  },
+  isCurrent: {
+    type: Boolean,
+    default: true
+  },
+  replaces: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  replacedBy: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  replacedAt: {
+    type: Date
+  },
+
+  notes: {
+    type: String,
+    trim: true
+  },
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  uploadedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+module.exports = { documentSchema };
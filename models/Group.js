@@ -0,0 +1,143 @@
+// models/Group.js - Lending Group Schema (members share liability for group loans)
+const mongoose = require('mongoose');
+const { nextId } = require('../utils/identifiers');
+
+const MEMBER_ROLES = ['Leader', 'Secretary', 'Member'];
+const MEETING_DAYS = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+
+// Roles only one active member may hold
+const SINGLE_HOLDER_ROLES = ['Leader', 'Secretary'];
+
+const GroupMemberSchema = new mongoose.Schema({
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer',
+    required: [true, 'Member customer is required']
+  },
+  role: {
+    type: String,
+    enum: MEMBER_ROLES,
+    default: 'Member'
+  },
+  joinedAt: {
+    type: Date,
+    default: Date.now
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  leftAt: {
+    type: Date
+  }
+}, {
+  _id: false
+});
+
+const GroupSchema = new mongoose.Schema({
+  // Group ID (Auto-generated)
+  groupId: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
+
+  name: {
+    type: String,
+    required: [true, 'Group name is required'],
+    unique: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+
+  // Meetings (where repayments are collected)
+  meetingDay: {
+    type: String,
+    enum: MEETING_DAYS,
+    required: [true, 'Meeting day is required']
+  },
+  meetingFrequency: {
+    type: String,
+    enum: ['Daily', 'Weekly'],
+    default: 'Weekly'
+  },
+  meetingTime: {
+    type: String,
+    trim: true
+  },
+  meetingLocation: {
+    type: String,
+    required: [true, 'Meeting location is required'],
+    trim: true
+  },
+
+  members: [GroupMemberSchema],
+
+  status: {
+    type: String,
+    enum: ['Active', 'Inactive'],
+    default: 'Active'
+  },
+
+  // Created By (Loan Officer responsible for the group)
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+
+}, {
+  timestamps: true
+});
+
+GroupSchema.index({ 'members.customer': 1 });
+
+// A customer appears once, and leader/secretary are held by one active member each
+GroupSchema.pre('validate', function(next) {
+  const active = this.members.filter((member) => member.isActive);
+  const customers = active.map((member) => String(member.customer));
+
+  if (new Set(customers).size !== customers.length) {
+    this.invalidate('members', 'A customer can only be listed once in a group');
+  }
+
+  SINGLE_HOLDER_ROLES.forEach((role) => {
+    if (active.filter((member) => member.role === role).length > 1) {
+      this.invalidate('members', `A group can only have one ${role.toLowerCase()}`);
+    }
+  });
+
+  next();
+});
+
+// Generate Group ID before saving
+GroupSchema.pre('save', async function(next) {
+  try {
+    if (!this.groupId) {
+      this.groupId = await nextId('group', { user: this.createdBy, session: this.$session() });
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Active membership entry for a customer, or null
+GroupSchema.methods.findMember = function(customerId) {
+  return this.members.find((member) => member.isActive && String(member.customer._id || member.customer) === String(customerId)) || null;
+};
+
+// Customer IDs of active members
+GroupSchema.methods.activeMemberIds = function() {
+  return this.members
+    .filter((member) => member.isActive)
+    .map((member) => member.customer._id || member.customer);
+};
+
+GroupSchema.statics.MEMBER_ROLES = MEMBER_ROLES;
+GroupSchema.statics.MEETING_DAYS = MEETING_DAYS;
+
+module.exports = mongoose.model('Group', GroupSchema);
@@ -0,0 +1,54 @@
+// models/IdempotencyKey.js - Stored results of requests sent with an Idempotency-Key header
+const mongoose = require('mongoose');
+
+const IdempotencyKeySchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: [true, 'Idempotency key is required'],
+    trim: true
+  },
+  // Keys are scoped to the user who sent them
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  method: {
+    type: String,
+    required: true
+  },
+  path: {
+    type: String,
+    required: true
+  },
+  // Hash of method, path and body, to spot a key reused for a different request
+  requestHash: {
+    type: String,
+    required: true
+  },
+
+  status: {
+    type: String,
+    enum: ['In Progress', 'Completed'],
+    default: 'In Progress'
+  },
+  responseStatus: {
+    type: Number
+  },
+  responseBody: {
+    type: mongoose.Schema.Types.Mixed
+  },
+
+  // Removed by MongoDB's TTL monitor once passed (a short lock while In Progress, the full TTL once Completed)
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+IdempotencyKeySchema.index({ user: 1, key: 1 }, { unique: true });
+IdempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('IdempotencyKey', IdempotencyKeySchema);
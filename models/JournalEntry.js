@@ -0,0 +1,141 @@
+// models/JournalEntry.js - Append-only double-entry journal
+const mongoose = require('mongoose');
+const { chartOfAccounts } = require('../config/chartOfAccounts');
+const { roundMoney } = require('../utils/loanSchedule');
+const { nextId } = require('../utils/identifiers');
+
+const ENTRY_TYPES = [
+  'Disbursement',
+  'Repayment',
+  'Repayment Reversal',
+  'Allocation Adjustment',
+  'Penalty',
+  'Penalty Waiver',
+  'Write-off'
+];
+
+const JournalLineSchema = new mongoose.Schema({
+  account: {
+    type: String,
+    enum: chartOfAccounts.map((account) => account.code),
+    required: [true, 'Account is required']
+  },
+  debit: {
+    type: Number,
+    default: 0,
+    min: [0, 'Debit cannot be negative']
+  },
+  credit: {
+    type: Number,
+    default: 0,
+    min: [0, 'Credit cannot be negative']
+  }
+}, {
+  _id: false
+});
+
+const JournalEntrySchema = new mongoose.Schema({
+  // Entry Number (Auto-generated)
+  entryNumber: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
+
+  entryDate: {
+    type: Date,
+    default: Date.now
+  },
+  entryType: {
+    type: String,
+    enum: ENTRY_TYPES,
+    required: [true, 'Entry type is required']
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+
+  lines: {
+    type: [JournalLineSchema],
+    required: true
+  },
+
+  // Source Documents
+  loan: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Loan'
+  },
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer'
+  },
+  repayment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Repayment'
+  },
+  penalty: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Penalty'
+  },
+
+  // Posted By (system jobs leave this empty)
+  postedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+
+}, {
+  timestamps: true
+});
+
+JournalEntrySchema.index({ loan: 1, entryDate: 1 });
+JournalEntrySchema.index({ 'lines.account': 1, entryDate: 1 });
+
+// Entries must balance: total debits equal total credits, each line on one side only
+JournalEntrySchema.pre('validate', function(next) {
+  if (!this.lines || this.lines.length < 2) {
+    this.invalidate('lines', 'A journal entry needs at least two lines');
+    return next();
+  }
+
+  const oneSided = this.lines.every((line) => (line.debit > 0) !== (line.credit > 0));
+  if (!oneSided) {
+    this.invalidate('lines', 'Each journal line must have either a debit or a credit');
+  }
+
+  const debits = roundMoney(this.lines.reduce((sum, line) => sum + line.debit, 0));
+  const credits = roundMoney(this.lines.reduce((sum, line) => sum + line.credit, 0));
+  if (debits !== credits) {
+    this.invalidate('lines', `Journal entry does not balance (debits ₦${debits}, credits ₦${credits})`);
+  }
+
+  next();
+});
+
+// Generate Entry Number and refuse edits to posted entries
+JournalEntrySchema.pre('save', async function(next) {
+  try {
+    if (!this.isNew) {
+      return next(new Error('Journal entries are append-only; post a correcting entry instead'));
+    }
+
+    if (!this.entryNumber) {
+      this.entryNumber = await nextId('journal', { session: this.$session() });
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Block query-level updates and deletes
+const appendOnly = function(next) {
+  next(new Error('Journal entries are append-only; post a correcting entry instead'));
+};
+['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete']
+  .forEach((operation) => JournalEntrySchema.pre(operation, appendOnly));
+
+JournalEntrySchema.statics.ENTRY_TYPES = ENTRY_TYPES;
+
+module.exports = mongoose.model('JournalEntry', JournalEntrySchema);
@@ -1,5 +1,118 @@
 // models/Loan.js - Loan Schema
 const mongoose = require('mongoose');
+const LoanProduct = require('./LoanProduct');
+const { nextId } = require('../utils/identifiers');
+const { documentSchema } = require('./DocumentSchema');
+const {
+  INSTALLMENT_STATUSES,
+  INTEREST_METHODS,
+  roundMoney,
+  addPeriods,
+  buildSchedule,
+  installmentStatus,
+  daysBetween,
+  oldestMissedInstallment,
+  daysPastDue
+} = require('../utils/loanSchedule');
+
+// Loan statuses that can still receive repayments
+const REPAYABLE_STATUSES = ['Active', 'Overdue', 'Defaulted'];
+
+// One due installment in the repayment schedule
+const InstallmentSchema = new mongoose.Schema({
+  installmentNumber: {
+    type: Number,
+    required: true
+  },
+  dueDate: {
+    type: Date,
+    required: true
+  },
+  principalDue: {
+    type: Number,
+    required: true
+  },
+  interestDue: {
+    type: Number,
+    required: true
+  },
+  totalDue: {
+    type: Number,
+    required: true
+  },
+  amountPaid: {
+    type: Number,
+    default: 0
+  },
+  status: {
+    type: String,
+    enum: INSTALLMENT_STATUSES,
+    default: 'Pending'
+  },
+  paidAt: {
+    type: Date
+  }
+}, {
+  _id: false
+});
+
+// Someone who guarantees part of the loan: an existing customer (details copied
+// from their record) or an external person identified by ID and phone
+const GuarantorSchema = new mongoose.Schema({
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer'
+  },
+  name: {
+    type: String,
+    required: [true, 'Guarantor name is required'],
+    trim: true
+  },
+  idType: {
+    type: String,
+    enum: ['National ID', 'Passport', 'Driver License', 'Voter Card']
+  },
+  idNumber: {
+    type: String,
+    required: [true, 'Guarantor ID number is required'],
+    trim: true
+  },
+  phoneNumber: {
+    type: String,
+    required: [true, 'Guarantor phone number is required'],
+    trim: true
+  },
+  relationship: {
+    type: String,
+    trim: true
+  },
+  address: {
+    type: String,
+    trim: true
+  },
+  guaranteedAmount: {
+    type: Number,
+    required: [true, 'Guaranteed amount is required'],
+    min: [1, 'Guaranteed amount must be greater than 0']
+  }
+});
+
+// A recorded status transition (e.g. Active -> Overdue by the daily sweep)
+const StatusChangeSchema = new mongoose.Schema({
+  from: String,
+  to: String,
+  reason: String,
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  changedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  _id: false
+});
 
 const LoanSchema = new mongoose.Schema({
   // Loan ID (Auto-generated)
@@ -16,11 +129,57 @@ const LoanSchema = new mongoose.Schema({
     required: [true, 'Customer is required']
   },
   
+  // Group Loan: member's share of a loan issued to a group (same batch across members)
+  group: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Group'
+  },
+  groupLoanBatch: {
+    type: String,
+    trim: true
+  },
+  
+  // Customer's loan cycle at application (1 = first loan)
+  loanCycle: {
+    type: Number,
+    min: 1
+  },
+  
   // Loan Product Type
   loanProduct: {
     type: String,
-    enum: ['Monthly', 'Weekly', 'Daily'],
-    required: [true, 'Loan product is required']
+    required: [true, 'Loan product is required'],
+    trim: true
+  },
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'LoanProduct'
+  },
+  
+  // Snapshot of the product terms the loan was issued under
+  productTerms: {
+    name: String,
+    interestRate: Number,
+    interestMethod: String,
+    repaymentFrequency: String,
+    minTenure: Number,
+    maxTenure: Number,
+    minPrincipal: Number,
+    maxPrincipal: Number,
+    fees: [{
+      _id: false,
+      name: String,
+      feeType: String,
+      amount: Number
+    }],
+    penalty: {
+      penaltyType: String,
+      amount: Number,
+      frequency: String,
+      graceDays: Number
+    },
+    allocationOrder: [String],
+    defaultGraceDays: Number
   },
   
   // Principal Amount
@@ -30,11 +189,24 @@ const LoanSchema = new mongoose.Schema({
     min: [1000, 'Minimum loan amount is ₦1,000']
   },
   
-  // Interest Rate (Auto-set based on product)
+  // Interest Rate (from product pricing)
   interestRate: {
     type: Number,
     required: true
   },
+  interestMethod: {
+    type: String,
+    enum: INTEREST_METHODS,
+    default: 'flat'
+  },
+  
+  // Cost-of-credit disclosure (percent per year, including fees)
+  annualPercentageRate: {
+    type: Number
+  },
+  effectiveAnnualRate: {
+    type: Number
+  },
   
   // Calculated Fields
   interestAmount: {
@@ -63,6 +235,17 @@ const LoanSchema = new mongoose.Schema({
     required: true
   },
   
+  // Fees charged at disbursement (deducted from the amount paid out)
+  fees: [{
+    _id: false,
+    name: String,
+    amount: Number
+  }],
+  totalFees: {
+    type: Number,
+    default: 0
+  },
+  
   // Dates
   applicationDate: {
     type: Date,
@@ -74,12 +257,20 @@ const LoanSchema = new mongoose.Schema({
   disbursementDate: {
     type: Date
   },
+  disbursementMethod: {
+    type: String,
+    enum: ['Cash', 'Bank Transfer', 'Mobile Money', 'Cheque'],
+    default: 'Cash'
+  },
   startDate: {
     type: Date
   },
   endDate: {
     type: Date
   },
+  completedAt: {
+    type: Date
+  },
   
   // Payment Tracking
   totalPaid: {
@@ -94,16 +285,60 @@ const LoanSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  
+  // Late fees (accrued less waived) and how much of them has been paid
+  penaltyAmount: {
+    type: Number,
+    default: 0
+  },
+  penaltyPaid: {
+    type: Number,
+    default: 0
+  },
+  
   remainingBalance: {
     type: Number
   },
   
+  // Repayment Schedule (generated at disbursement)
+  schedule: [InstallmentSchema],
+  
   // Status
   status: {
     type: String,
-    enum: ['Pending', 'Approved', 'Rejected', 'Disbursed', 'Active', 'Completed', 'Overdue', 'Defaulted'],
+    enum: ['Pending', 'Approved', 'Rejected', 'Disbursed', 'Active', 'Completed', 'Overdue', 'Defaulted', 'Written Off', 'Refinanced'],
     default: 'Pending'
   },
+  overdueSince: {
+    type: Date
+  },
+  defaultedAt: {
+    type: Date
+  },
+  statusHistory: [StatusChangeSchema],
+  
+  // Top-up / Refinance
+  // On the new loan: the loan it pays off and how much went to settle it at disbursement
+  refinanceType: {
+    type: String,
+    enum: ['Top-up', 'Refinance']
+  },
+  refinances: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Loan'
+  },
+  settlementAmount: {
+    type: Number,
+    default: 0
+  },
+  // On the old loan: the loan that paid it off
+  refinancedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Loan'
+  },
+  refinancedAt: {
+    type: Date
+  },
   
   // Purpose
   purpose: {
@@ -111,15 +346,12 @@ const LoanSchema = new mongoose.Schema({
     trim: true
   },
   
-  // Documents
-  documents: [{
-    documentType: String,
-    documentUrl: String,
-    uploadedAt: {
-      type: Date,
-      default: Date.now
-    }
-  }],
+  // Guarantors (see utils/guarantors.js)
+  guarantors: [GuarantorSchema],
+  
+  // Documents (all versions; see models/DocumentSchema.js)
+  // Types are checked on upload; older records may hold free-text types
+  documents: [documentSchema()],
   
   // Created By (Loan Officer)
   createdBy: {
@@ -148,6 +380,27 @@ const LoanSchema = new mongoose.Schema({
     type: Date
   },
   
+  // Write-off Info (Admin)
+  writtenOffPrincipal: {
+    type: Number,
+    default: 0
+  },
+  writtenOffPenalty: {
+    type: Number,
+    default: 0
+  },
+  writtenOffAt: {
+    type: Date
+  },
+  writtenOffBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  writeOffReason: {
+    type: String,
+    trim: true
+  },
+  
   // Notes
   notes: {
     type: String,
@@ -155,28 +408,19 @@ const LoanSchema = new mongoose.Schema({
   }
   
 }, {
-  timestamps: true
+  timestamps: true,
+  // Concurrent saves of the same loan fail with a VersionError instead of losing an update
+  optimisticConcurrency: true
 });
 
-// ✅ FIXED: Generate Loan ID before saving
+// Guarantor exposure is looked up by ID number across all loans
+LoanSchema.index({ 'guarantors.idNumber': 1 });
+
+// Generate Loan ID before saving
 LoanSchema.pre('save', async function(next) {
   try {
     if (!this.loanId) {
-      // Find the loan with the highest loanId
-      const lastLoan = await this.constructor
-        .findOne({}, { loanId: 1 })
-        .sort({ loanId: -1 })
-        .lean();
-
-      let nextNumber = 1;
-      
-      if (lastLoan && lastLoan.loanId) {
-        // Extract the number from "LOAN000010" -> 10
-        const lastNumber = parseInt(lastLoan.loanId.replace('LOAN', ''));
-        nextNumber = lastNumber + 1;
-      }
-
-      this.loanId = `LOAN${String(nextNumber).padStart(6, '0')}`;
+      this.loanId = await nextId('loan', { user: this.createdBy, session: this.$session() });
     }
     next();
   } catch (error) {
@@ -184,57 +428,16 @@ LoanSchema.pre('save', async function(next) {
   }
 });
 
-// Calculate interest, total payable, and installment before saving
+// Calculate remaining balance and end date before saving
+// (pricing itself is done server-side in utils/loanPricing.js)
 LoanSchema.pre('save', function(next) {
   try {
-    // Only set interest rate and tenure unit if not already provided
-    if (!this.interestRate) {
-      switch (this.loanProduct) {
-        case 'Monthly':
-          this.interestRate = 25;
-          if (!this.tenureUnit) this.tenureUnit = 'months';
-          break;
-        case 'Weekly':
-          this.interestRate = 27;
-          if (!this.tenureUnit) this.tenureUnit = 'weeks';
-          break;
-        case 'Daily':
-          this.interestRate = 18;
-          if (!this.tenureUnit) this.tenureUnit = 'days';
-          break;
-      }
-    }
-    
-    // Only calculate if not already provided
-    if (!this.interestAmount) {
-      this.interestAmount = this.principalAmount * (this.interestRate / 100);
-    }
-    
-    if (!this.totalPayable) {
-      this.totalPayable = this.principalAmount + this.interestAmount;
-    }
-    
-    if (!this.installmentAmount) {
-      this.installmentAmount = this.totalPayable / this.tenure;
-    }
-    
     // Calculate remaining balance
-    this.remainingBalance = (this.totalPayable || 0) - (this.totalPaid || 0);
+    this.remainingBalance = this.calculateRemainingBalance();
     
     // Calculate end date if start date exists
     if (this.startDate && !this.endDate) {
-      const start = new Date(this.startDate);
-      switch (this.tenureUnit) {
-        case 'days':
-          this.endDate = new Date(start.setDate(start.getDate() + this.tenure));
-          break;
-        case 'weeks':
-          this.endDate = new Date(start.setDate(start.getDate() + (this.tenure * 7)));
-          break;
-        case 'months':
-          this.endDate = new Date(start.setMonth(start.getMonth() + this.tenure));
-          break;
-      }
+      this.endDate = addPeriods(this.startDate, this.tenure, this.tenureUnit);
     }
     
     next();
@@ -243,16 +446,206 @@ LoanSchema.pre('save', function(next) {
   }
 });
 
+// Why the loan is overdue as of a date, or null if it is not
+LoanSchema.methods.getOverdueReason = function(asOf = new Date()) {
+  if (!(this.remainingBalance > 0)) return null;
+
+  const missed = oldestMissedInstallment(this.schedule, asOf);
+  if (missed) {
+    return `Installment #${missed.installmentNumber} due ${missed.dueDate.toISOString().slice(0, 10)} missed`;
+  }
+
+  if (this.endDate && asOf > this.endDate) {
+    return `Loan end date ${this.endDate.toISOString().slice(0, 10)} passed with balance outstanding`;
+  }
+
+  return null;
+};
+
 // Method to check if loan is overdue
-LoanSchema.methods.checkOverdue = function() {
-  if (this.status === 'Active' && this.endDate && new Date() > this.endDate) {
-    if (this.remainingBalance > 0) {
-      return true;
+LoanSchema.methods.checkOverdue = function(asOf = new Date()) {
+  return this.status === 'Active' && this.getOverdueReason(asOf) !== null;
+};
+
+// Days past due from the oldest missed installment (or the end date for loans without a schedule)
+LoanSchema.methods.getDaysPastDue = function(asOf = new Date()) {
+  if (!(this.remainingBalance > 0)) return 0;
+
+  if (this.schedule && this.schedule.length > 0) {
+    return daysPastDue(this.schedule, asOf);
+  }
+
+  return this.endDate && asOf > this.endDate ? daysBetween(this.endDate, asOf) : 0;
+};
+
+// Move the loan to a new status and record the transition
+LoanSchema.methods.changeStatus = function(to, reason, changedBy, changedAt = new Date()) {
+  if (this.status === to) return;
+
+  this.statusHistory.push({
+    from: this.status,
+    to,
+    reason,
+    changedBy,
+    changedAt
+  });
+  this.status = to;
+
+  if (to === 'Overdue') this.overdueSince = changedAt;
+  if (to === 'Defaulted') this.defaultedAt = changedAt;
+  if (to === 'Completed') this.completedAt = changedAt;
+};
+
+// Generate the installment schedule from the start date
+LoanSchema.methods.generateSchedule = function() {
+  if (!this.startDate) {
+    throw new Error('Loan must have a start date before generating a schedule');
+  }
+
+  this.schedule = buildSchedule({
+    principalAmount: this.principalAmount,
+    interestAmount: this.interestAmount,
+    interestRate: this.interestRate,
+    interestMethod: this.interestMethod,
+    tenure: this.tenure,
+    tenureUnit: this.tenureUnit,
+    startDate: this.startDate
+  });
+  this.endDate = this.schedule[this.schedule.length - 1].dueDate;
+
+  return this.schedule;
+};
+
+// Apply a payment to installments, oldest first; statuses are refreshed as of asOf
+LoanSchema.methods.applyToSchedule = function(amount, paidAt = new Date(), asOf = new Date()) {
+  let remaining = roundMoney(amount);
+
+  for (const installment of this.schedule) {
+    if (remaining <= 0) break;
+
+    const outstanding = roundMoney(installment.totalDue - installment.amountPaid);
+    if (outstanding <= 0) continue;
+
+    const applied = Math.min(outstanding, remaining);
+    installment.amountPaid = roundMoney(installment.amountPaid + applied);
+    remaining = roundMoney(remaining - applied);
+
+    if (installment.amountPaid >= installment.totalDue) {
+      installment.paidAt = paidAt;
     }
   }
+
+  this.refreshScheduleStatus(asOf);
+  return remaining;
+};
+
+// Order a repayment is applied in: the product's configured order,
+// defaulting to penalty -> interest -> principal (PRD Section 4: interest before principal)
+LoanSchema.methods.getAllocationOrder = function() {
+  const order = this.productTerms && this.productTerms.allocationOrder;
+  return order && order.length > 0 ? order : LoanProduct.ALLOCATION_COMPONENTS;
+};
+
+// Split a payment across penalty, interest and principal in allocation order
+LoanSchema.methods.allocatePayment = function(amount) {
+  const outstanding = {
+    penalty: Math.max(0, roundMoney((this.penaltyAmount || 0) - (this.penaltyPaid || 0))),
+    interest: Math.max(0, roundMoney(this.interestAmount - (this.interestPaid || 0))),
+    principal: Math.max(0, roundMoney(this.principalAmount - (this.principalPaid || 0)))
+  };
+  const paid = { penalty: 0, interest: 0, principal: 0 };
+
+  let remaining = roundMoney(amount);
+  this.getAllocationOrder().forEach((component) => {
+    paid[component] = Math.min(remaining, outstanding[component]);
+    remaining = roundMoney(remaining - paid[component]);
+  });
+
+  return {
+    penaltyPaid: paid.penalty,
+    interestPaid: paid.interest,
+    principalPaid: paid.principal,
+    remainingPenalty: roundMoney(outstanding.penalty - paid.penalty),
+    remainingInterest: roundMoney(outstanding.interest - paid.interest),
+    remainingPrincipal: roundMoney(outstanding.principal - paid.principal)
+  };
+};
+
+// Outstanding balance: principal and interest plus unpaid penalties
+// (nothing once written off: the loss is booked and the loan is no longer collectable)
+LoanSchema.methods.calculateRemainingBalance = function() {
+  if (this.status === 'Written Off') return 0;
+  return roundMoney((this.totalPayable || 0) + (this.penaltyAmount || 0) - (this.totalPaid || 0));
+};
+
+// Complete the loan if nothing is left to pay
+LoanSchema.methods.completeIfPaid = function(paidAt = new Date(), reason = 'Loan fully repaid') {
+  if (this.remainingBalance <= 0 && REPAYABLE_STATUSES.includes(this.status)) {
+    this.changeStatus('Completed', reason, undefined, paidAt);
+    return true;
+  }
   return false;
 };
 
+// Record a payment against the loan totals and schedule, returning its allocation.
+// When replaying past payments (see utils/loanRebalance.js) the schedule is valued
+// as of paidAt. With keepStatus (implied by replay) no status transition is recorded
+// and the caller sets the status itself.
+LoanSchema.methods.recordPayment = function(amount, paidAt = new Date(), { replay = false, keepStatus = replay } = {}) {
+  const allocation = this.allocatePayment(amount);
+
+  this.totalPaid = roundMoney((this.totalPaid || 0) + Number(amount));
+  this.penaltyPaid = roundMoney((this.penaltyPaid || 0) + allocation.penaltyPaid);
+  this.interestPaid = roundMoney((this.interestPaid || 0) + allocation.interestPaid);
+  this.principalPaid = roundMoney((this.principalPaid || 0) + allocation.principalPaid);
+  this.remainingBalance = this.calculateRemainingBalance();
+
+  // Only the interest and principal portions count towards installments
+  this.applyToSchedule(roundMoney(allocation.interestPaid + allocation.principalPaid), paidAt, replay ? paidAt : new Date());
+
+  // Fully paid loans are completed automatically
+  if (!keepStatus && !this.completeIfPaid(paidAt) && this.status === 'Overdue' && this.getOverdueReason() === null) {
+    // Overdue loans that have caught up return to Active
+    this.changeStatus('Active', 'Arrears cleared by repayment', undefined, paidAt);
+    this.overdueSince = undefined;
+  }
+
+  return {
+    ...allocation,
+    remainingBalance: this.remainingBalance
+  };
+};
+
+// Add (or, for waivers, remove) accrued penalties
+LoanSchema.methods.adjustPenalty = function(amount) {
+  this.penaltyAmount = Math.max(0, roundMoney((this.penaltyAmount || 0) + amount));
+  this.remainingBalance = this.calculateRemainingBalance();
+  return this.penaltyAmount;
+};
+
+// Clear all payment totals so repayments can be replayed from scratch
+LoanSchema.methods.resetPayments = function() {
+  this.totalPaid = 0;
+  this.penaltyPaid = 0;
+  this.interestPaid = 0;
+  this.principalPaid = 0;
+  this.remainingBalance = this.calculateRemainingBalance();
+
+  this.schedule.forEach((installment) => {
+    installment.amountPaid = 0;
+    installment.paidAt = undefined;
+  });
+  this.refreshScheduleStatus();
+};
+
+// Recalculate installment statuses (Paid / Partially Paid / Missed / Pending)
+LoanSchema.methods.refreshScheduleStatus = function(asOf = new Date()) {
+  this.schedule.forEach((installment) => {
+    installment.status = installmentStatus(installment, asOf);
+  });
+  return this.schedule;
+};
+
 // Virtual for progress percentage
 LoanSchema.virtual('progressPercentage').get(function() {
   if (this.totalPayable === 0) return 0;
@@ -263,4 +656,6 @@ LoanSchema.virtual('progressPercentage').get(function() {
 LoanSchema.set('toJSON', { virtuals: true });
 LoanSchema.set('toObject', { virtuals: true });
 
+LoanSchema.statics.REPAYABLE_STATUSES = REPAYABLE_STATUSES;
+
 module.exports = mongoose.model('Loan', LoanSchema);
\ No newline at end of file
@@ -0,0 +1,288 @@
+// models/LoanProduct.js - Loan Product Schema
+const mongoose = require('mongoose');
+const { INTEREST_METHODS } = require('../utils/loanSchedule');
+const { KYC_ITEMS, CUSTOMER_TYPE_REQUIREMENTS } = require('../config/kyc');
+
+const CUSTOMER_TYPES = Object.keys(CUSTOMER_TYPE_REQUIREMENTS);
+
+// Repayment frequency -> loan tenure unit (one installment per period)
+const FREQUENCY_TENURE_UNITS = {
+  Daily: 'days',
+  Weekly: 'weeks',
+  Monthly: 'months'
+};
+
+// Parts of a loan balance a repayment can be applied to (default order)
+const ALLOCATION_COMPONENTS = ['penalty', 'interest', 'principal'];
+
+// Maximum principal from a given loan cycle onwards (cycle 1 = first loan)
+const CycleLimitSchema = new mongoose.Schema({
+  cycle: {
+    type: Number,
+    required: [true, 'Cycle is required'],
+    min: [1, 'Cycle must be at least 1']
+  },
+  maxPrincipal: {
+    type: Number,
+    required: [true, 'Maximum principal is required'],
+    min: [0, 'Maximum principal cannot be negative']
+  }
+}, {
+  _id: false
+});
+
+// An extra KYC item for customers borrowing on this product (see config/kyc.js)
+const KycRequirementSchema = new mongoose.Schema({
+  item: {
+    type: String,
+    enum: Object.keys(KYC_ITEMS),
+    required: [true, 'KYC item is required']
+  },
+  // Customer types it applies to; empty = all
+  customerTypes: [{
+    type: String,
+    enum: CUSTOMER_TYPES
+  }]
+}, {
+  _id: false
+});
+
+const FeeSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Fee name is required'],
+    trim: true
+  },
+  // flat = fixed naira amount, percentage = % of principal
+  feeType: {
+    type: String,
+    enum: ['flat', 'percentage'],
+    default: 'flat'
+  },
+  amount: {
+    type: Number,
+    required: [true, 'Fee amount is required'],
+    min: [0, 'Fee amount cannot be negative']
+  }
+}, {
+  _id: false
+});
+
+const LoanProductSchema = new mongoose.Schema({
+  // Product name used on loans and customers (e.g. "Monthly")
+  name: {
+    type: String,
+    required: [true, 'Product name is required'],
+    unique: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+
+  // Pricing
+  // flat: interestRate is charged once on the principal for the whole loan.
+  // reducing-balance methods: interestRate is charged per repayment period on the outstanding balance.
+  interestRate: {
+    type: Number,
+    required: [true, 'Interest rate is required'],
+    min: [0, 'Interest rate cannot be negative']
+  },
+  interestMethod: {
+    type: String,
+    enum: INTEREST_METHODS,
+    default: 'flat'
+  },
+  fees: [FeeSchema],
+
+  // Repayment
+  repaymentFrequency: {
+    type: String,
+    enum: Object.keys(FREQUENCY_TENURE_UNITS),
+    required: [true, 'Repayment frequency is required']
+  },
+  minTenure: {
+    type: Number,
+    default: 1,
+    min: [1, 'Minimum tenure is 1 period']
+  },
+  maxTenure: {
+    type: Number,
+    required: [true, 'Maximum tenure is required']
+  },
+
+  // Principal Limits
+  minPrincipal: {
+    type: Number,
+    default: 1000,
+    min: [0, 'Minimum principal cannot be negative']
+  },
+  maxPrincipal: {
+    type: Number
+  },
+
+  // Late fees on missed installments
+  penalty: {
+    // none = no late fees, flat = fixed naira per period, percentage = % of the overdue amount per period
+    penaltyType: {
+      type: String,
+      enum: ['none', 'flat', 'percentage'],
+      default: 'none'
+    },
+    amount: {
+      type: Number,
+      default: 0,
+      min: [0, 'Penalty amount cannot be negative']
+    },
+    frequency: {
+      type: String,
+      enum: ['daily', 'weekly'],
+      default: 'daily'
+    },
+    // Days after an installment's due date before penalties start
+    graceDays: {
+      type: Number,
+      default: 0,
+      min: [0, 'Penalty grace days cannot be negative']
+    }
+  },
+
+  // Order repayments are applied in
+  allocationOrder: {
+    type: [{
+      type: String,
+      enum: ALLOCATION_COMPONENTS
+    }],
+    default: () => [...ALLOCATION_COMPONENTS]
+  },
+
+  // Rules a customer must pass at application and again at approval (see utils/eligibility.js)
+  eligibility: {
+    // Open loans (pending through defaulted) a customer may hold at once, across all products
+    maxConcurrentLoans: {
+      type: Number,
+      default: 1,
+      min: [1, 'Maximum concurrent loans must be at least 1']
+    },
+    // Refuse customers with an Overdue, Defaulted or Written Off loan
+    blockOnArrears: {
+      type: Boolean,
+      default: true
+    },
+    // Refuse customers whose fellow group members are in arrears
+    blockOnGroupArrears: {
+      type: Boolean,
+      default: true
+    },
+    // Guarantors each application must name (0 = none required)
+    minGuarantors: {
+      type: Number,
+      default: 0,
+      min: [0, 'Minimum guarantors cannot be negative']
+    },
+    // Ladder of principal caps by cycle; customers move up a step for each
+    // loan repaid on time (utils/loanCycle.js). No entries = no cycle cap.
+    cycleLimits: [CycleLimitSchema]
+  },
+
+  // KYC items required, on top of the customer type's, before a customer who
+  // prefers this product can be approved (utils/kyc.js)
+  kycRequirements: [KycRequirementSchema],
+
+  // Days past due before an Overdue loan is escalated to Defaulted
+  defaultGraceDays: {
+    type: Number,
+    default: 30,
+    min: [0, 'Grace period cannot be negative']
+  },
+
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+
+}, {
+  timestamps: true
+});
+
+// Check tenure and principal limits before saving
+LoanProductSchema.pre('validate', function(next) {
+  if (this.maxTenure < this.minTenure) {
+    this.invalidate('maxTenure', 'Maximum tenure cannot be less than minimum tenure');
+  }
+  if (this.maxPrincipal !== undefined && this.maxPrincipal !== null && this.maxPrincipal < this.minPrincipal) {
+    this.invalidate('maxPrincipal', 'Maximum principal cannot be less than minimum principal');
+  }
+  if (this.allocationOrder.length !== ALLOCATION_COMPONENTS.length ||
+      !ALLOCATION_COMPONENTS.every((component) => this.allocationOrder.includes(component))) {
+    this.invalidate('allocationOrder', `Allocation order must list each of: ${ALLOCATION_COMPONENTS.join(', ')}`);
+  }
+  next();
+});
+
+// Loan tenure unit for this product's repayment frequency
+LoanProductSchema.virtual('tenureUnit').get(function() {
+  return FREQUENCY_TENURE_UNITS[this.repaymentFrequency];
+});
+
+// Check an application against the product's limits; returns an error message or null
+LoanProductSchema.methods.validateApplication = function({ principalAmount, tenure }) {
+  if (!this.isActive) {
+    return `${this.name} loan product is not currently available`;
+  }
+  if (!tenure || tenure < this.minTenure) {
+    return `${this.name} loan tenure must be at least ${this.minTenure} ${this.tenureUnit}`;
+  }
+  if (tenure > this.maxTenure) {
+    return `${this.name} loan tenure cannot exceed ${this.maxTenure} ${this.tenureUnit}`;
+  }
+  if (principalAmount < this.minPrincipal) {
+    return `${this.name} loan principal must be at least ₦${this.minPrincipal.toLocaleString()}`;
+  }
+  if (this.maxPrincipal && principalAmount > this.maxPrincipal) {
+    return `${this.name} loan principal cannot exceed ₦${this.maxPrincipal.toLocaleString()}`;
+  }
+  return null;
+};
+
+// Snapshot of the terms a loan is issued under
+LoanProductSchema.methods.toTerms = function() {
+  return {
+    name: this.name,
+    interestRate: this.interestRate,
+    interestMethod: this.interestMethod,
+    repaymentFrequency: this.repaymentFrequency,
+    minTenure: this.minTenure,
+    maxTenure: this.maxTenure,
+    minPrincipal: this.minPrincipal,
+    maxPrincipal: this.maxPrincipal,
+    fees: this.fees.map((fee) => ({ name: fee.name, feeType: fee.feeType, amount: fee.amount })),
+    penalty: {
+      penaltyType: this.penalty.penaltyType,
+      amount: this.penalty.amount,
+      frequency: this.penalty.frequency,
+      graceDays: this.penalty.graceDays
+    },
+    allocationOrder: [...this.allocationOrder],
+    defaultGraceDays: this.defaultGraceDays
+  };
+};
+
+LoanProductSchema.statics.FREQUENCY_TENURE_UNITS = FREQUENCY_TENURE_UNITS;
+LoanProductSchema.statics.ALLOCATION_COMPONENTS = ALLOCATION_COMPONENTS;
+
+// Ensure virtuals are included in JSON
+LoanProductSchema.set('toJSON', { virtuals: true });
+LoanProductSchema.set('toObject', { virtuals: true });
+
+module.exports = mongoose.model('LoanProduct', LoanProductSchema);
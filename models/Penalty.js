@@ -0,0 +1,123 @@
+// models/Penalty.js - Late-fee ledger entries
+const mongoose = require('mongoose');
+const { roundMoney } = require('../utils/loanSchedule');
+
+const PenaltySchema = new mongoose.Schema({
+  loan: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Loan',
+    required: [true, 'Loan reference is required']
+  },
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer',
+    required: [true, 'Customer reference is required']
+  },
+
+  // Oldest missed installment when the penalty was charged
+  installmentNumber: {
+    type: Number
+  },
+
+  // Accrual period (one entry per loan per day or week)
+  accrualDate: {
+    type: Date,
+    required: true
+  },
+  periodKey: {
+    type: String,
+    required: true
+  },
+
+  // How the penalty was worked out
+  penaltyType: {
+    type: String,
+    enum: ['flat', 'percentage'],
+    required: true
+  },
+  rate: {
+    type: Number,
+    required: true
+  },
+  overdueAmount: {
+    type: Number,
+    default: 0
+  },
+
+  amount: {
+    type: Number,
+    required: true,
+    min: [0, 'Penalty amount cannot be negative']
+  },
+  amountPaid: {
+    type: Number,
+    default: 0
+  },
+
+  status: {
+    type: String,
+    enum: ['Accrued', 'Paid', 'Waived'],
+    default: 'Accrued'
+  },
+
+  // Waiver Info (Admin)
+  waivedAmount: {
+    type: Number,
+    default: 0
+  },
+  waivedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  waivedAt: {
+    type: Date
+  },
+  waiverReason: {
+    type: String,
+    trim: true
+  }
+
+}, {
+  timestamps: true
+});
+
+// A loan is charged at most once per accrual period
+PenaltySchema.index({ loan: 1, periodKey: 1 }, { unique: true });
+
+// Amount still collectable on this penalty
+PenaltySchema.methods.outstanding = function() {
+  return Math.max(0, roundMoney(this.amount - this.waivedAmount - this.amountPaid));
+};
+
+// Apply the penalty portion of a repayment to open penalties, oldest first
+PenaltySchema.statics.applyPayment = async function(loanId, amount, session = null) {
+  let remaining = roundMoney(amount);
+  if (remaining <= 0) return;
+
+  const penalties = await this.find({ loan: loanId, status: { $ne: 'Paid' } })
+    .sort('accrualDate')
+    .session(session);
+
+  for (const penalty of penalties) {
+    if (remaining <= 0) break;
+
+    const applied = Math.min(penalty.outstanding(), remaining);
+    if (applied <= 0) continue;
+
+    penalty.amountPaid = roundMoney(penalty.amountPaid + applied);
+    remaining = roundMoney(remaining - applied);
+
+    if (penalty.status === 'Accrued' && penalty.outstanding() <= 0) {
+      penalty.status = 'Paid';
+    }
+    await penalty.save();
+  }
+};
+
+// Clear payments against a loan's penalties so repayments can be replayed
+PenaltySchema.statics.resetPayments = async function(loanId, session = null) {
+  await this.updateMany({ loan: loanId }, { $set: { amountPaid: 0 } }, { session });
+  await this.updateMany({ loan: loanId, status: 'Paid' }, { $set: { status: 'Accrued' } }, { session });
+};
+
+module.exports = mongoose.model('Penalty', PenaltySchema);
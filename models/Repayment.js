@@ -1,5 +1,6 @@
 // models/Repayment.js - Repayment Schema
 const mongoose = require('mongoose');
+const { nextId } = require('../utils/identifiers');
 
 const RepaymentSchema = new mongoose.Schema({
   // Receipt ID (Auto-generated)
@@ -24,13 +25,24 @@ const RepaymentSchema = new mongoose.Schema({
   },
   
   // Payment Amount
+  // Negative only on reversal (contra) entries
   paymentAmount: {
     type: Number,
     required: [true, 'Payment amount is required'],
-    min: [1, 'Payment amount must be greater than 0']
+    validate: {
+      validator: function(value) {
+        return this.isReversal ? value < 0 : value >= 1;
+      },
+      message: 'Payment amount must be greater than 0'
+    }
   },
   
-  // Payment Allocation (PRD Section 4: Interest first, then Principal)
+  // Payment Allocation (PRD Section 4: Interest first, then Principal;
+  // late-fee penalties are settled in the product's allocation order)
+  penaltyPaid: {
+    type: Number,
+    default: 0
+  },
   interestPaid: {
     type: Number,
     default: 0
@@ -41,6 +53,10 @@ const RepaymentSchema = new mongoose.Schema({
   },
   
   // Balances After Payment
+  remainingPenalty: {
+    type: Number,
+    default: 0
+  },
   remainingInterest: {
     type: Number,
     default: 0
@@ -61,7 +77,8 @@ const RepaymentSchema = new mongoose.Schema({
   },
   paymentMethod: {
     type: String,
-    enum: ['Cash', 'Bank Transfer', 'Mobile Money', 'Cheque'],
+    // Refinance = settled from the proceeds of a top-up or refinance loan
+    enum: ['Cash', 'Bank Transfer', 'Mobile Money', 'Cheque', 'Refinance'],
     default: 'Cash'
   },
   transactionReference: {
@@ -100,6 +117,39 @@ const RepaymentSchema = new mongoose.Schema({
     type: Date
   },
   
+  // Reversal Info
+  // On the original receipt: marked reversed and linked to its contra entry
+  isReversed: {
+    type: Boolean,
+    default: false
+  },
+  reversalEntry: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Repayment'
+  },
+  reversedAt: {
+    type: Date
+  },
+  reversalReason: {
+    type: String,
+    trim: true
+  },
+  // On the contra entry: links back to the receipt it reverses
+  isReversal: {
+    type: Boolean,
+    default: false
+  },
+  reversalOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Repayment'
+  },
+  
+  // Group meeting collection this receipt was posted in (bulk posting)
+  collectionBatch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CollectionBatch'
+  },
+  
   // Notes
   notes: {
     type: String,
@@ -114,8 +164,7 @@ const RepaymentSchema = new mongoose.Schema({
 RepaymentSchema.pre('save', async function(next) {
   try {
     if (!this.receiptId) {
-      const count = await this.constructor.countDocuments();
-      this.receiptId = `RCP${String(count + 1).padStart(7, '0')}`;
+      this.receiptId = await nextId('repayment', { user: this.recordedBy, session: this.$session() });
     }
     next();
   } catch (error) {
@@ -123,4 +172,15 @@ RepaymentSchema.pre('save', async function(next) {
   }
 });
 
+// Copy a loan allocation (from loan.recordPayment) onto the receipt
+RepaymentSchema.methods.setAllocation = function(allocation) {
+  this.penaltyPaid = allocation.penaltyPaid;
+  this.interestPaid = allocation.interestPaid;
+  this.principalPaid = allocation.principalPaid;
+  this.remainingPenalty = allocation.remainingPenalty;
+  this.remainingInterest = allocation.remainingInterest;
+  this.remainingPrincipal = allocation.remainingPrincipal;
+  this.remainingBalance = allocation.remainingBalance;
+};
+
 module.exports = mongoose.model('Repayment', RepaymentSchema);
\ No newline at end of file
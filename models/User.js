@@ -1,6 +1,7 @@
 // models/User.js - User Schema (FIXED VERSION)
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { nextId } = require('../utils/identifiers');
 
 const UserSchema = new mongoose.Schema({
   firstName: {
@@ -68,8 +69,7 @@ UserSchema.pre('save', async function(next) {
     
     // Generate Staff ID if not exists
     if (!this.staffId) {
-      const count = await this.constructor.countDocuments();
-      this.staffId = `STAFF${String(count + 1).padStart(4, '0')}`;
+      this.staffId = await nextId('staff', { branch: this.branch });
     }
     
     next();
@@ -110,9 +110,6 @@ router.post('/register', protect, authorize('Admin'), async (req, res) => {
       });
     }
 
-    const count = await User.countDocuments();
-    const staffId = `STAFF${String(count + 1).padStart(4, '0')}`;
-
     const salt = await bcrypt.genSalt(10);
     const hashedPassword = await bcrypt.hash(password, salt);
 
@@ -123,8 +120,7 @@ router.post('/register', protect, authorize('Admin'), async (req, res) => {
       password: hashedPassword,
       role,
       phoneNumber,
-      branch,
-      staffId
+      branch
     });
 
     return res.status(201).json({
@@ -1,15 +1,117 @@
 // routes/customers.js - Customer Routes
 const express = require('express');
 const Customer = require('../models/Customer');
+const LoanProduct = require('../models/LoanProduct');
+const Loan = require('../models/Loan');
+const Repayment = require('../models/Repayment');
+const Penalty = require('../models/Penalty');
+const Group = require('../models/Group');
+const CollectionBatch = require('../models/CollectionBatch');
 const { protect, authorize } = require('../middleware/auth');
+const { findDuplicateCustomers } = require('../utils/customerMatching');
+const { customerCycle, nextEligibleAmount } = require('../utils/loanCycle');
+const { refreshCreditScore, WEIGHTS, GRADES } = require('../utils/creditScore');
+const { withTransaction, transactionError } = require('../utils/transaction');
+const { addDocument, saveWithDocument, listDocuments, sendDocument } = require('../utils/documents');
+const { uploadDocument } = require('../middleware/upload');
+const { CUSTOMER_DOCUMENT_TYPES } = require('../config/documents');
+const { kycChecklist } = require('../utils/kyc');
 
 const router = express.Router();
 
+// Check that a preferred loan product is a configured, active product
+const validatePreferredProduct = async (name) => {
+  if (!name) return null;
+
+  const product = await LoanProduct.findOne({ name, isActive: true });
+  return product ? null : `Unknown or inactive loan product: ${name}`;
+};
+
+// Fields used to spot the same person registered twice
+const IDENTITY_FIELDS = ['firstName', 'lastName', 'phoneNumber', 'idNumber', 'dateOfBirth'];
+
+// Optional fields a merge copies from the duplicate when the surviving record lacks them
+const MERGE_FILL_FIELDS = ['email', 'dateOfBirth', 'gender', 'businessName', 'businessType', 'businessAddress'];
+
+// Check details against existing customers. Returns { error } (a 409/403 response)
+// when likely duplicates exist and no valid override was given, otherwise
+// { override } holding the Admin override to record, if one was needed.
+const checkDuplicates = async (req, details, excludeId) => {
+  const matches = await findDuplicateCustomers(details, { excludeId });
+  if (matches.length === 0) return {};
+
+  const { duplicateOverride } = req.body;
+
+  if (!duplicateOverride || !duplicateOverride.justification) {
+    return {
+      error: {
+        status: 409,
+        body: {
+          success: false,
+          message: `Possible duplicate of ${matches.length} existing customer(s). An Admin can register anyway with duplicateOverride.justification`,
+          data: {
+            matches: matches.map(({ customer, confidence, reasons }) => ({
+              _id: customer._id,
+              customerId: customer.customerId,
+              name: `${customer.firstName} ${customer.lastName}`,
+              status: customer.status,
+              confidence,
+              reasons
+            }))
+          }
+        }
+      }
+    };
+  }
+
+  if (req.user.role !== 'Admin') {
+    return {
+      error: {
+        status: 403,
+        body: {
+          success: false,
+          message: 'Only an Admin can override the duplicate customer check'
+        }
+      }
+    };
+  }
+
+  return {
+    override: {
+      justification: duplicateOverride.justification,
+      matchedCustomers: matches.map((match) => match.customer._id),
+      overriddenBy: req.user._id,
+      overriddenAt: Date.now()
+    }
+  };
+};
+
 // Register new customer (Loan Officer or Admin)
+// Likely duplicates are refused with 409 unless an Admin overrides with a justification.
 router.post('/', protect, async (req, res) => {
   try {
+    const productError = await validatePreferredProduct(req.body.preferredLoanProduct);
+    if (productError) {
+      return res.status(400).json({
+        success: false,
+        message: productError
+      });
+    }
+
+    const { error: duplicateError, override } = await checkDuplicates(req, req.body);
+    if (duplicateError) {
+      return res.status(duplicateError.status).json(duplicateError.body);
+    }
+
+    // Status and approval are only set through the approve/reject endpoints (KYC checked there)
+    const {
+      status, approvedBy, approvedAt, rejectionReason, rejectedAt,
+      duplicateOverride, mergedInto, mergedAt, mergedBy, mergeReason, creditScore, kycOverride, ...details
+    } = req.body;
+
     const customerData = {
-      ...req.body,
+      ...details,
+      duplicateOverride: override,
       createdBy: req.user._id
     };
 
@@ -106,9 +208,26 @@ router.get('/:id', protect, async (req, res) => {
       });
     }
 
+    // Cycle position and how much the customer can borrow next on each active product
+    const cycle = await customerCycle(customer._id);
+    const products = await LoanProduct.find({ isActive: true }).sort('name');
+    cycle.nextEligibleAmounts = products.map((product) => ({
+      loanProduct: product.name,
+      maxPrincipal: nextEligibleAmount(product, cycle)
+    }));
+    const preferred = cycle.nextEligibleAmounts.find((item) => item.loanProduct === customer.preferredLoanProduct);
+    cycle.nextEligibleAmount = preferred ? preferred.maxPrincipal : null;
+
+    const preferredProduct = products.find((product) => product.name === customer.preferredLoanProduct)
+      || await LoanProduct.findOne({ name: customer.preferredLoanProduct });
+
     return res.json({
       success: true,
-      data: customer
+      data: {
+        ...customer.toObject(),
+        loanCycle: cycle,
+        kycChecklist: kycChecklist(customer, preferredProduct)
+      }
     });
   } catch (error) {
     return res.status(500).json({
@@ -138,15 +257,53 @@ router.put('/:id', protect, async (req, res) => {
       });
     }
 
+    if (customer.status === 'Merged') {
+      return res.status(400).json({
+        success: false,
+        message: 'Customer has been merged into another record; update that record instead'
+      });
+    }
+
     // Don't allow updating certain fields
     delete req.body.customerId;
     delete req.body.createdBy;
+    delete req.body.status;
     delete req.body.approvedBy;
     delete req.body.approvedAt;
+    delete req.body.rejectionReason;
+    delete req.body.rejectedAt;
+    delete req.body.mergedInto;
+    delete req.body.mergedAt;
+    delete req.body.mergedBy;
+    delete req.body.mergeReason;
+    delete req.body.creditScore;
+    delete req.body.documents;
+    delete req.body.kycOverride;
+
+    const productError = await validatePreferredProduct(req.body.preferredLoanProduct);
+    if (productError) {
+      return res.status(400).json({
+        success: false,
+        message: productError
+      });
+    }
+
+    // Re-check for duplicates when identity details change
+    const update = { ...req.body };
+    delete update.duplicateOverride;
+
+    if (IDENTITY_FIELDS.some((field) => req.body[field] !== undefined)) {
+      const details = { ...customer.toObject(), ...req.body };
+      const { error: duplicateError, override } = await checkDuplicates(req, details, customer._id);
+      if (duplicateError) {
+        return res.status(duplicateError.status).json(duplicateError.body);
+      }
+      if (override) update.duplicateOverride = override;
+    }
 
     customer = await Customer.findByIdAndUpdate(
       req.params.id,
-      req.body,
+      update,
       { new: true, runValidators: true }
     );
 
@@ -163,6 +320,411 @@ router.put('/:id', protect, async (req, res) => {
   }
 });
 
+// Credit score with the contribution of each factor (recomputed on request)
+router.get('/:id/score-breakdown', protect, async (req, res) => {
+  try {
+    const customer = await Customer.findById(req.params.id);
+
+    if (!customer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Customer not found'
+      });
+    }
+
+    // If Loan Officer, only allow viewing their own customers
+    if (req.user.role === 'Loan Officer' && customer.createdBy.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view this customer'
+      });
+    }
+
+    const creditScore = await refreshCreditScore(customer._id);
+
+    return res.json({
+      success: true,
+      data: {
+        customerId: customer.customerId,
+        ...creditScore,
+        maxScore: Object.values(WEIGHTS).reduce((sum, weight) => sum + weight, 0),
+        grades: GRADES
+      }
+    });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Likely duplicates of a customer
+router.get('/:id/duplicates', protect, async (req, res) => {
+  try {
+    const customer = await Customer.findById(req.params.id);
+
+    if (!customer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Customer not found'
+      });
+    }
+
+    // If Loan Officer, only allow checking their own customers
+    if (req.user.role === 'Loan Officer' && customer.createdBy.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view this customer'
+      });
+    }
+
+    const matches = await findDuplicateCustomers(customer, { excludeId: customer._id });
+
+    return res.json({
+      success: true,
+      count: matches.length,
+      data: matches
+    });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Merge a duplicate customer into this one (Admin only)
+// Loans, repayments and penalties move to the surviving record; the duplicate is kept as 'Merged'.
+router.post('/:id/merge', protect, authorize('Admin'), async (req, res) => {
+  try {
+    const { duplicateId, reason } = req.body;
+
+    if (!duplicateId || !reason) {
+      return res.status(400).json({
+        success: false,
+        message: 'duplicateId and reason are required'
+      });
+    }
+
+    if (String(duplicateId) === String(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'A customer cannot be merged into itself'
+      });
+    }
+
+    const result = await withTransaction(async (session) => {
+      const customer = await Customer.findById(req.params.id).session(session);
+      const duplicate = await Customer.findById(duplicateId).session(session);
+
+      if (!customer || !duplicate) {
+        throw transactionError(404, 'Customer not found');
+      }
+
+      if (customer.status === 'Merged' || duplicate.status === 'Merged') {
+        throw transactionError(400, 'Customer has already been merged');
+      }
+
+      // Move the duplicate's records across
+      const moved = { customer: customer._id };
+      const loans = await Loan.updateMany({ customer: duplicate._id }, moved, { session });
+      const repayments = await Repayment.updateMany({ customer: duplicate._id }, moved, { session });
+      const penalties = await Penalty.updateMany({ customer: duplicate._id }, moved, { session });
+      // Loans the duplicate guarantees now name the kept record
+      await Loan.updateMany(
+        { 'guarantors.customer': duplicate._id },
+        { $set: { 'guarantors.$[guarantor].customer': customer._id } },
+        { arrayFilters: [{ 'guarantor.customer': duplicate._id }], session }
+      );
+      await CollectionBatch.updateMany(
+        { 'lines.customer': duplicate._id },
+        { $set: { 'lines.$[line].customer': customer._id } },
+        { arrayFilters: [{ 'line.customer': duplicate._id }], session }
+      );
+
+      // Group memberships pass to the kept record. Where both were in the same group
+      // the duplicate's entry is closed (its role passes on if the kept one has none).
+      const groups = await Group.find({ 'members.customer': duplicate._id }).session(session);
+      const activeGroupIds = groups
+        .filter((group) => group.status === 'Active' && group.findMember(duplicate._id))
+        .map((group) => group._id);
+
+      if (activeGroupIds.length > 0) {
+        const otherGroup = await Group.findOne({
+          _id: { $nin: activeGroupIds },
+          status: 'Active',
+          members: { $elemMatch: { customer: customer._id, isActive: true } }
+        }).session(session);
+        if (otherGroup) {
+          throw transactionError(400, `Both customers are active in different groups; remove one from ${otherGroup.name} first`);
+        }
+      }
+
+      for (const group of groups) {
+        const kept = group.findMember(customer._id);
+        group.members.forEach((member) => {
+          if (String(member.customer) !== String(duplicate._id)) return;
+          if (member.isActive && kept) {
+            if (kept.role === 'Member') kept.role = member.role;
+            member.isActive = false;
+            member.leftAt = Date.now();
+          }
+          member.customer = customer._id;
+        });
+        await group.save();
+      }
+
+      MERGE_FILL_FIELDS.forEach((field) => {
+        if (!customer[field] && duplicate[field]) customer[field] = duplicate[field];
+      });
+      // Stored files stay where they are; only the download link moves to the kept record
+      customer.documents.push(...duplicate.documents.map((doc) => ({
+        ...doc.toObject(),
+        documentUrl: doc.storageKey ? `/api/customers/${customer._id}/documents/${doc._id}/download` : doc.documentUrl
+      })));
+      customer.notes = [customer.notes, `Merged ${duplicate.customerId}: ${reason}`].filter(Boolean).join('\n');
+      await customer.save();
+
+      duplicate.status = 'Merged';
+      duplicate.mergedInto = customer._id;
+      duplicate.mergedAt = Date.now();
+      duplicate.mergedBy = req.user._id;
+      duplicate.mergeReason = reason;
+      await duplicate.save();
+
+      return {
+        customer,
+        duplicate,
+        moved: {
+          loans: loans.modifiedCount,
+          repayments: repayments.modifiedCount,
+          penalties: penalties.modifiedCount,
+          groups: groups.length
+        }
+      };
+    });
+
+    return res.json({
+      success: true,
+      message: `Customer ${result.duplicate.customerId} merged into ${result.customer.customerId}`,
+      data: result
+    });
+  } catch (error) {
+    return res.status(error.status || 500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Get customer documents (current versions; ?history=true for every version)
+router.get('/:id/documents', protect, async (req, res) => {
+  try {
+    const customer = await Customer.findById(req.params.id).select('customerId documents createdBy');
+
+    if (!customer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Customer not found'
+      });
+    }
+
+    // If Loan Officer, only allow their own customers
+    if (req.user.role === 'Loan Officer' && customer.createdBy.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view this customer'
+      });
+    }
+
+    const documents = listDocuments(customer, req.query.history === 'true');
+
+    return res.json({
+      success: true,
+      count: documents.length,
+      data: documents
+    });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Upload a customer document (multipart: file, documentType, notes)
+router.post('/:id/documents', protect, uploadDocument, async (req, res) => {
+  try {
+    const { documentType, notes } = req.body;
+
+    if (!CUSTOMER_DOCUMENT_TYPES.includes(documentType)) {
+      return res.status(400).json({
+        success: false,
+        message: `documentType must be one of: ${CUSTOMER_DOCUMENT_TYPES.join(', ')}`
+      });
+    }
+
+    const customer = await Customer.findById(req.params.id);
+
+    if (!customer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Customer not found'
+      });
+    }
+
+    // If Loan Officer, only allow their own customers
+    if (req.user.role === 'Loan Officer' && customer.createdBy.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to add documents to this customer'
+      });
+    }
+
+    if (customer.status === 'Merged') {
+      return res.status(400).json({
+        success: false,
+        message: 'Customer has been merged into another record; add documents to that record instead'
+      });
+    }
+
+    const document = await addDocument(customer, {
+      file: req.file,
+      documentType,
+      notes,
+      user: req.user,
+      folder: 'customers',
+      basePath: `/api/customers/${customer._id}/documents`
+    });
+    await saveWithDocument(customer, document);
+
+    return res.status(201).json({
+      success: true,
+      message: `${documentType} uploaded`,
+      data: document
+    });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Replace a customer document with a new version (the old version is kept)
+router.put('/:id/documents/:documentId', protect, uploadDocument, async (req, res) => {
+  try {
+    const customer = await Customer.findById(req.params.id);
+
+    if (!customer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Customer not found'
+      });
+    }
+
+    // If Loan Officer, only allow their own customers
+    if (req.user.role === 'Loan Officer' && customer.createdBy.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to update documents on this customer'
+      });
+    }
+
+    if (customer.status === 'Merged') {
+      return res.status(400).json({
+        success: false,
+        message: 'Customer has been merged into another record; add documents to that record instead'
+      });
+    }
+
+    const previous = customer.documents.id(req.params.documentId);
+
+    if (!previous) {
+      return res.status(404).json({
+        success: false,
+        message: 'Document not found'
+      });
+    }
+
+    if (previous.isCurrent === false) {
+      return res.status(400).json({
+        success: false,
+        message: 'Only the current version of a document can be replaced'
+      });
+    }
+
+    const document = await addDocument(customer, {
+      file: req.file,
+      notes: req.body.notes,
+      user: req.user,
+      folder: 'customers',
+      basePath: `/api/customers/${customer._id}/documents`,
+      replaces: previous
+    });
+    await saveWithDocument(customer, document);
+
+    return res.json({
+      success: true,
+      message: `${document.documentType} replaced (version ${document.version})`,
+      data: document
+    });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Download a customer document (any version)
+router.get('/:id/documents/:documentId/download', protect, async (req, res) => {
+  try {
+    const customer = await Customer.findById(req.params.id).select('documents createdBy');
+
+    if (!customer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Customer not found'
+      });
+    }
+
+    // If Loan Officer, only allow their own customers
+    if (req.user.role === 'Loan Officer' && customer.createdBy.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view this customer'
+      });
+    }
+
+    const document = customer.documents.id(req.params.documentId);
+
+    if (!document) {
+      return res.status(404).json({
+        success: false,
+        message: 'Document not found'
+      });
+    }
+
+    // Older records only hold a link to a file kept elsewhere
+    if (!document.storageKey) {
+      return res.status(404).json({
+        success: false,
+        message: 'Document file is not stored in the system',
+        data: { documentUrl: document.documentUrl }
+      });
+    }
+
+    return await sendDocument(res, document);
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
 // Approve customer (Admin only)
 router.put('/:id/approve', protect, authorize('Admin'), async (req, res) => {
   try {
@@ -182,6 +744,29 @@ router.put('/:id/approve', protect, authorize('Admin'), async (req, res) => {
       });
     }
 
+    // KYC checklist for the customer type and preferred product; an Admin may
+    // approve with items missing only by recording a reason
+    const product = await LoanProduct.findOne({ name: customer.preferredLoanProduct });
+    const checklist = kycChecklist(customer, product);
+    const overrideReason = req.body.kycOverride && req.body.kycOverride.reason;
+
+    if (!checklist.complete) {
+      if (!overrideReason) {
+        return res.status(400).json({
+          success: false,
+          message: `KYC checklist incomplete: ${checklist.items.filter((item) => !item.satisfied).map((item) => item.label).join(', ')}`,
+          data: { kycChecklist: checklist }
+        });
+      }
+
+      customer.kycOverride = {
+        reason: overrideReason,
+        missingItems: checklist.missing,
+        overriddenBy: req.user._id,
+        overriddenAt: Date.now()
+      };
+    }
+
     customer.status = 'Approved';
     customer.approvedBy = req.user._id;
     customer.approvedAt = Date.now();
@@ -192,8 +777,13 @@ router.put('/:id/approve', protect, authorize('Admin'), async (req, res) => {
 
     return res.json({
       success: true,
-      message: 'Customer approved successfully',
-      data: customer
+      message: checklist.complete
+        ? 'Customer approved successfully'
+        : `Customer approved with KYC override (missing: ${checklist.missing.join(', ')})`,
+      data: {
+        ...customer.toObject(),
+        kycChecklist: checklist
+      }
     });
   } catch (error) {
     return res.status(500).json({
@@ -283,6 +873,7 @@ router.get('/stats/summary', protect, authorize('Admin'), async (req, res) => {
     const rejectedCustomers = await Customer.countDocuments({ status: 'Rejected' });
     const individualCustomers = await Customer.countDocuments({ customerType: 'Individual' });
     const groupCustomers = await Customer.countDocuments({ customerType: 'Group' });
+    const businessCustomers = await Customer.countDocuments({ customerType: 'Business' });
 
     return res.json({
       success: true,
@@ -292,7 +883,8 @@ router.get('/stats/summary', protect, authorize('Admin'), async (req, res) => {
         approvedCustomers,
         rejectedCustomers,
         individualCustomers,
-        groupCustomers
+        groupCustomers,
+        businessCustomers
       }
     });
   } catch (error) {
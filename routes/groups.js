@@ -0,0 +1,649 @@
+// routes/groups.js - Lending Group Routes
+const express = require('express');
+const Group = require('../models/Group');
+const Customer = require('../models/Customer');
+const Loan = require('../models/Loan');
+const Counter = require('../models/Counter');
+const LoanProduct = require('../models/LoanProduct');
+const { protect, authorize } = require('../middleware/auth');
+const { idempotent } = require('../middleware/idempotency');
+const { priceLoan, pricedFields } = require('../utils/loanPricing');
+const { checkEligibility, OPEN_STATUSES } = require('../utils/eligibility');
+const { customerCycle } = require('../utils/loanCycle');
+const { resolveGuarantors } = require('../utils/guarantors');
+const { groupExposure } = require('../utils/groupExposure');
+const { buildCollectionSheet } = require('../utils/collectionSheet');
+const { withTransaction } = require('../utils/transaction');
+
+const router = express.Router();
+
+// Fields set by the server, never from the request body
+const PROTECTED_FIELDS = ['groupId', 'members', 'status', 'createdBy'];
+
+// Loan Officers may only work with groups they created
+const canAccess = (user, group) => (
+  user.role !== 'Loan Officer' || String(group.createdBy._id || group.createdBy) === String(user._id)
+);
+
+// Check customers can join a group: they exist, are not merged, and are not active
+// in another group. Returns an error message or null.
+const validateNewMembers = async (customerIds, groupId) => {
+  const customers = await Customer.find({ _id: { $in: customerIds } }).select('customerId status');
+
+  if (customers.length !== new Set(customerIds.map(String)).size) {
+    return 'One or more member customers were not found';
+  }
+
+  const merged = customers.find((customer) => customer.status === 'Merged');
+  if (merged) {
+    return `Customer ${merged.customerId} has been merged into another record`;
+  }
+
+  const elsewhere = await Group.findOne({
+    _id: { $ne: groupId },
+    status: 'Active',
+    members: { $elemMatch: { customer: { $in: customerIds }, isActive: true } }
+  });
+  if (elsewhere) {
+    return `A member already belongs to group ${elsewhere.name}`;
+  }
+
+  return null;
+};
+
+const populateMembers = (query) => query
+  .populate('members.customer', 'customerId firstName lastName phoneNumber status')
+  .populate('createdBy', 'firstName lastName staffId');
+
+// Create group (Loan Officer or Admin)
+router.post('/', protect, async (req, res) => {
+  try {
+    const members = req.body.members === undefined ? [] : req.body.members;
+
+    if (!Array.isArray(members) || members.some((member) => !member || !member.customer)) {
+      return res.status(400).json({
+        success: false,
+        message: 'members must be a list of { customer, role }'
+      });
+    }
+
+    const memberError = await validateNewMembers(members.map((member) => member.customer), null);
+
+    if (memberError) {
+      return res.status(400).json({
+        success: false,
+        message: memberError
+      });
+    }
+
+    const groupData = { ...req.body };
+    PROTECTED_FIELDS.forEach((field) => delete groupData[field]);
+
+    const group = await Group.create({
+      ...groupData,
+      members: members.map(({ customer, role }) => ({ customer, role })),
+      createdBy: req.user._id
+    });
+
+    const populated = await populateMembers(Group.findById(group._id));
+
+    return res.status(201).json({
+      success: true,
+      message: 'Group created successfully',
+      data: populated
+    });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Get all groups
+router.get('/', protect, async (req, res) => {
+  try {
+    const { status, meetingDay, search } = req.query;
+
+    let query = {};
+
+    // If Loan Officer, only show groups they created
+    if (req.user.role === 'Loan Officer') {
+      query.createdBy = req.user._id;
+    }
+
+    if (status) {
+      query.status = status;
+    }
+
+    if (meetingDay) {
+      query.meetingDay = meetingDay;
+    }
+
+    if (search) {
+      query.$or = [
+        { name: { $regex: search, $options: 'i' } },
+        { groupId: { $regex: search, $options: 'i' } }
+      ];
+    }
+
+    const groups = await populateMembers(Group.find(query)).sort('name');
+
+    return res.json({
+      success: true,
+      count: groups.length,
+      data: groups
+    });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Get single group with its exposure
+router.get('/:id', protect, async (req, res) => {
+  try {
+    const group = await populateMembers(Group.findById(req.params.id));
+
+    if (!group) {
+      return res.status(404).json({
+        success: false,
+        message: 'Group not found'
+      });
+    }
+
+    if (!canAccess(req.user, group)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view this group'
+      });
+    }
+
+    const exposure = await groupExposure(group);
+
+    return res.json({
+      success: true,
+      data: {
+        ...group.toObject(),
+        exposure
+      }
+    });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Group outstanding balances and arrears (joint liability)
+router.get('/:id/exposure', protect, async (req, res) => {
+  try {
+    const group = await Group.findById(req.params.id);
+
+    if (!group) {
+      return res.status(404).json({
+        success: false,
+        message: 'Group not found'
+      });
+    }
+
+    if (!canAccess(req.user, group)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view this group'
+      });
+    }
+
+    const asOf = req.query.asOf ? new Date(req.query.asOf) : new Date();
+    const exposure = await groupExposure(group, { asOf });
+
+    return res.json({
+      success: true,
+      data: exposure
+    });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Collection sheet for a meeting: each member's due installment, arrears and expected total
+router.get('/:id/collection-sheet', protect, async (req, res) => {
+  try {
+    const group = await Group.findById(req.params.id);
+
+    if (!group) {
+      return res.status(404).json({
+        success: false,
+        message: 'Group not found'
+      });
+    }
+
+    if (!canAccess(req.user, group)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view this group'
+      });
+    }
+
+    const meetingDate = req.query.date ? new Date(req.query.date) : new Date();
+    if (Number.isNaN(meetingDate.getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid date'
+      });
+    }
+
+    const sheet = await buildCollectionSheet(group, meetingDate);
+
+    return res.json({
+      success: true,
+      data: sheet
+    });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Update group details (meeting day, location, ...)
+router.put('/:id', protect, async (req, res) => {
+  try {
+    const group = await Group.findById(req.params.id);
+
+    if (!group) {
+      return res.status(404).json({
+        success: false,
+        message: 'Group not found'
+      });
+    }
+
+    if (!canAccess(req.user, group)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to update this group'
+      });
+    }
+
+    const updates = { ...req.body };
+    PROTECTED_FIELDS.forEach((field) => delete updates[field]);
+
+    Object.assign(group, updates);
+    await group.save();
+
+    return res.json({
+      success: true,
+      message: 'Group updated successfully',
+      data: group
+    });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Add a member
+router.post('/:id/members', protect, async (req, res) => {
+  try {
+    const { customer, role } = req.body;
+
+    if (!customer) {
+      return res.status(400).json({
+        success: false,
+        message: 'Customer is required'
+      });
+    }
+
+    const group = await Group.findById(req.params.id);
+
+    if (!group) {
+      return res.status(404).json({
+        success: false,
+        message: 'Group not found'
+      });
+    }
+
+    if (!canAccess(req.user, group)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to update this group'
+      });
+    }
+
+    if (group.findMember(customer)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Customer is already a member of this group'
+      });
+    }
+
+    const memberError = await validateNewMembers([customer], group._id);
+    if (memberError) {
+      return res.status(400).json({
+        success: false,
+        message: memberError
+      });
+    }
+
+    group.members.push({ customer, role });
+    await group.save();
+
+    return res.status(201).json({
+      success: true,
+      message: 'Member added',
+      data: group
+    });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Change a member's role
+router.put('/:id/members/:customerId', protect, async (req, res) => {
+  try {
+    const { role } = req.body;
+
+    if (!Group.MEMBER_ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: `Role must be one of: ${Group.MEMBER_ROLES.join(', ')}`
+      });
+    }
+
+    const group = await Group.findById(req.params.id);
+
+    if (!group) {
+      return res.status(404).json({
+        success: false,
+        message: 'Group not found'
+      });
+    }
+
+    if (!canAccess(req.user, group)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to update this group'
+      });
+    }
+
+    const member = group.findMember(req.params.customerId);
+    if (!member) {
+      return res.status(404).json({
+        success: false,
+        message: 'Member not found in this group'
+      });
+    }
+
+    member.role = role;
+    await group.save();
+
+    return res.json({
+      success: true,
+      message: 'Member role updated',
+      data: group
+    });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Remove a member (kept in history as inactive)
+router.delete('/:id/members/:customerId', protect, async (req, res) => {
+  try {
+    const group = await Group.findById(req.params.id);
+
+    if (!group) {
+      return res.status(404).json({
+        success: false,
+        message: 'Group not found'
+      });
+    }
+
+    if (!canAccess(req.user, group)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to update this group'
+      });
+    }
+
+    const member = group.findMember(req.params.customerId);
+    if (!member) {
+      return res.status(404).json({
+        success: false,
+        message: 'Member not found in this group'
+      });
+    }
+
+    // Members stay jointly liable until their group loans are closed
+    const openGroupLoan = await Loan.exists({
+      group: group._id,
+      customer: req.params.customerId,
+      status: { $in: OPEN_STATUSES }
+    });
+    if (openGroupLoan) {
+      return res.status(400).json({
+        success: false,
+        message: 'Member has an open group loan and cannot leave the group'
+      });
+    }
+
+    member.isActive = false;
+    member.leftAt = Date.now();
+    await group.save();
+
+    return res.json({
+      success: true,
+      message: 'Member removed',
+      data: group
+    });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Issue a group loan split across members (Loan Officer or Admin)
+// Body: { loanProduct, tenure, purpose, allocations: [{ customer, principalAmount, guarantors }] }
+// Each member gets their own loan in a shared batch; all are created or none.
+router.post('/:id/loans', protect, idempotent, async (req, res) => {
+  try {
+    const { loanProduct, tenure, purpose, allocations } = req.body;
+
+    if (!loanProduct || !tenure || !Array.isArray(allocations) || allocations.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'loanProduct, tenure and allocations are required'
+      });
+    }
+
+    const group = await Group.findById(req.params.id);
+
+    if (!group) {
+      return res.status(404).json({
+        success: false,
+        message: 'Group not found'
+      });
+    }
+
+    if (!canAccess(req.user, group)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to issue loans for this group'
+      });
+    }
+
+    if (group.status !== 'Active') {
+      return res.status(400).json({
+        success: false,
+        message: 'Loans can only be issued to active groups'
+      });
+    }
+
+    const customerIds = allocations.map((allocation) => String(allocation.customer));
+    if (new Set(customerIds).size !== customerIds.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'Each member can only appear once in a group loan'
+      });
+    }
+
+    const product = await LoanProduct.findOne({ name: loanProduct });
+    if (!product) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown loan product: ${loanProduct}`
+      });
+    }
+
+    // Check every member's share before creating anything
+    const errors = [];
+    const prepared = [];
+
+    for (const allocation of allocations) {
+      const principalAmount = Number(allocation.principalAmount);
+      const customer = await Customer.findById(allocation.customer);
+      const fail = (reasons) => errors.push({
+        customer: allocation.customer,
+        customerId: customer ? customer.customerId : undefined,
+        reasons
+      });
+
+      if (!customer || !group.findMember(customer._id)) {
+        fail([{ rule: 'GROUP_MEMBER', message: 'Customer is not an active member of this group' }]);
+        continue;
+      }
+
+      if (customer.status !== 'Approved') {
+        fail([{ rule: 'CUSTOMER_APPROVED', message: 'Customer must be approved before applying for a loan' }]);
+        continue;
+      }
+
+      const productError = product.validateApplication({ principalAmount, tenure: Number(tenure) });
+      if (productError) {
+        fail([{ rule: 'PRODUCT_LIMITS', message: productError }]);
+        continue;
+      }
+
+      const { guarantors, error: guarantorError } = await resolveGuarantors(allocation.guarantors, customer);
+      if (guarantorError) {
+        fail([{ rule: 'GUARANTORS', message: guarantorError }]);
+        continue;
+      }
+
+      const eligibility = await checkEligibility({ customer, product, principalAmount, guarantors });
+      if (!eligibility.eligible) {
+        fail(eligibility.reasons);
+        continue;
+      }
+
+      const cycle = await customerCycle(customer._id);
+      prepared.push({ customer, principalAmount, guarantors, loanCycle: cycle.currentCycle });
+    }
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `${errors.length} member(s) cannot take part in this group loan`,
+        data: { errors }
+      });
+    }
+
+    const loans = await withTransaction(async (session) => {
+      const batchNumber = await Counter.next(`${group.groupId}-LOANS`, session);
+      const groupLoanBatch = `${group.groupId}-L${String(batchNumber).padStart(3, '0')}`;
+      const created = [];
+
+      for (const item of prepared) {
+        const pricing = priceLoan(product, { principalAmount: item.principalAmount, tenure: Number(tenure) });
+
+        const [loan] = await Loan.create([{
+          customer: item.customer._id,
+          group: group._id,
+          groupLoanBatch,
+          loanCycle: item.loanCycle,
+          loanProduct: product.name,
+          product: product._id,
+          productTerms: product.toTerms(),
+          principalAmount: pricing.principalAmount,
+          tenure: pricing.tenure,
+          purpose,
+          guarantors: item.guarantors,
+          createdBy: req.user._id,
+          ...pricedFields(pricing)
+        }], { session });
+        created.push(loan);
+      }
+
+      return created;
+    });
+
+    const total = loans.reduce((sum, loan) => sum + loan.principalAmount, 0);
+
+    return res.status(201).json({
+      success: true,
+      message: `Group loan ${loans[0].groupLoanBatch} created: ${loans.length} member loan(s) totalling ₦${total.toLocaleString()}`,
+      data: loans
+    });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Delete group (Admin only) - groups with loans are deactivated instead
+router.delete('/:id', protect, authorize('Admin'), async (req, res) => {
+  try {
+    const group = await Group.findById(req.params.id);
+
+    if (!group) {
+      return res.status(404).json({
+        success: false,
+        message: 'Group not found'
+      });
+    }
+
+    if (await Loan.exists({ group: group._id })) {
+      group.status = 'Inactive';
+      await group.save();
+
+      return res.json({
+        success: true,
+        message: 'Group has loans, so it was deactivated instead of deleted',
+        data: group
+      });
+    }
+
+    await group.deleteOne();
+
+    return res.json({
+      success: true,
+      message: 'Group deleted successfully'
+    });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,269 @@
+// routes/ledger.js - General Ledger Routes
+const express = require('express');
+const mongoose = require('mongoose');
+const JournalEntry = require('../models/JournalEntry');
+const Loan = require('../models/Loan');
+const { protect, authorize } = require('../middleware/auth');
+const { ACCOUNTS, chartOfAccounts, findAccount } = require('../config/chartOfAccounts');
+const { accountBalances } = require('../utils/ledger');
+const { roundMoney } = require('../utils/loanSchedule');
+
+const router = express.Router();
+
+// Signed movement of a line in the account's normal direction
+const lineMovement = (account, line) => (
+  account.normalBalance === 'debit' ? line.debit - line.credit : line.credit - line.debit
+);
+
+// Chart of accounts (Admin only)
+router.get('/accounts', protect, authorize('Admin'), async (req, res) => {
+  try {
+    return res.json({
+      success: true,
+      data: chartOfAccounts
+    });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Trial balance (Admin only)
+router.get('/trial-balance', protect, authorize('Admin'), async (req, res) => {
+  try {
+    const asOf = req.query.asOf ? new Date(req.query.asOf) : new Date();
+
+    if (isNaN(asOf.getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid asOf date'
+      });
+    }
+
+    const accounts = await accountBalances({ asOf });
+
+    // Present each balance on its own side
+    const rows = accounts.map((account) => {
+      const net = roundMoney(account.debit - account.credit);
+      return {
+        code: account.code,
+        name: account.name,
+        type: account.type,
+        debit: net > 0 ? net : 0,
+        credit: net < 0 ? -net : 0
+      };
+    });
+
+    const totalDebit = roundMoney(rows.reduce((sum, row) => sum + row.debit, 0));
+    const totalCredit = roundMoney(rows.reduce((sum, row) => sum + row.credit, 0));
+
+    return res.json({
+      success: true,
+      data: {
+        asOf,
+        accounts: rows,
+        totalDebit,
+        totalCredit,
+        balanced: totalDebit === totalCredit
+      }
+    });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Account statement with running balance (Admin only)
+router.get('/accounts/:code/statement', protect, authorize('Admin'), async (req, res) => {
+  try {
+    const account = findAccount(req.params.code);
+
+    if (!account) {
+      return res.status(404).json({
+        success: false,
+        message: 'Account not found'
+      });
+    }
+
+    const { from, to, loan } = req.query;
+    const base = { 'lines.account': account.code };
+    if (loan) base.loan = loan;
+
+    // Opening balance from everything posted before the period
+    let openingBalance = 0;
+    if (from) {
+      const before = await JournalEntry.find({ ...base, entryDate: { $lt: new Date(from) } });
+      before.forEach((entry) => {
+        entry.lines
+          .filter((line) => line.account === account.code)
+          .forEach((line) => { openingBalance += lineMovement(account, line); });
+      });
+    }
+
+    const query = { ...base };
+    if (from || to) {
+      query.entryDate = {};
+      if (from) query.entryDate.$gte = new Date(from);
+      if (to) query.entryDate.$lte = new Date(to);
+    }
+
+    const entries = await JournalEntry.find(query)
+      .populate('loan', 'loanId')
+      .sort('entryDate createdAt');
+
+    let balance = roundMoney(openingBalance);
+    const transactions = [];
+
+    entries.forEach((entry) => {
+      entry.lines
+        .filter((line) => line.account === account.code)
+        .forEach((line) => {
+          balance = roundMoney(balance + lineMovement(account, line));
+          transactions.push({
+            entryNumber: entry.entryNumber,
+            entryDate: entry.entryDate,
+            entryType: entry.entryType,
+            description: entry.description,
+            loan: entry.loan,
+            debit: line.debit,
+            credit: line.credit,
+            balance
+          });
+        });
+    });
+
+    return res.json({
+      success: true,
+      data: {
+        account,
+        openingBalance: roundMoney(openingBalance),
+        closingBalance: balance,
+        transactions
+      }
+    });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Journal entries (Admin only)
+router.get('/entries', protect, authorize('Admin'), async (req, res) => {
+  try {
+    const { loan, entryType, page = 1, limit = 50 } = req.query;
+
+    const query = {};
+    if (loan) query.loan = loan;
+    if (entryType) query.entryType = entryType;
+
+    const entries = await JournalEntry.find(query)
+      .populate('loan', 'loanId')
+      .populate('postedBy', 'firstName lastName')
+      .sort('-entryDate -createdAt')
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const count = await JournalEntry.countDocuments(query);
+
+    return res.json({
+      success: true,
+      data: entries,
+      totalPages: Math.ceil(count / limit),
+      currentPage: page,
+      total: count
+    });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Reconcile loan totals against the journal (Admin only)
+router.get('/reconcile', protect, authorize('Admin'), async (req, res) => {
+  try {
+    const loanQuery = { disbursementDate: { $exists: true } };
+    if (req.query.loan) loanQuery._id = req.query.loan;
+
+    const loans = await Loan.find(loanQuery).select(
+      'loanId principalAmount principalPaid interestPaid penaltyAmount penaltyPaid writtenOffPrincipal writtenOffPenalty'
+    );
+
+    // Journal movements per loan and account
+    const match = { loan: { $in: loans.map((loan) => new mongoose.Types.ObjectId(String(loan._id))) } };
+    const totals = await JournalEntry.aggregate([
+      { $match: match },
+      { $unwind: '$lines' },
+      {
+        $group: {
+          _id: { loan: '$loan', account: '$lines.account' },
+          debit: { $sum: '$lines.debit' },
+          credit: { $sum: '$lines.credit' }
+        }
+      }
+    ]);
+
+    const journal = new Map();
+    totals.forEach((item) => {
+      journal.set(`${item._id.loan}:${item._id.account}`, item.debit - item.credit);
+    });
+    const net = (loanId, account) => roundMoney(journal.get(`${loanId}:${account}`) || 0);
+
+    const results = loans.map((loan) => {
+      const checks = [
+        {
+          account: ACCOUNTS.LOANS_RECEIVABLE,
+          name: 'Principal outstanding',
+          loanValue: roundMoney(loan.principalAmount - loan.principalPaid - (loan.writtenOffPrincipal || 0)),
+          ledgerValue: net(loan._id, ACCOUNTS.LOANS_RECEIVABLE)
+        },
+        {
+          account: ACCOUNTS.PENALTY_RECEIVABLE,
+          name: 'Penalty outstanding',
+          loanValue: roundMoney((loan.penaltyAmount || 0) - (loan.penaltyPaid || 0) - (loan.writtenOffPenalty || 0)),
+          ledgerValue: net(loan._id, ACCOUNTS.PENALTY_RECEIVABLE)
+        },
+        {
+          account: ACCOUNTS.INTEREST_INCOME,
+          name: 'Interest collected',
+          loanValue: roundMoney(loan.interestPaid || 0),
+          ledgerValue: -net(loan._id, ACCOUNTS.INTEREST_INCOME)
+        }
+      ].map((check) => ({
+        ...check,
+        difference: roundMoney(check.loanValue - check.ledgerValue)
+      }));
+
+      return {
+        loan: { _id: loan._id, loanId: loan.loanId },
+        reconciled: checks.every((check) => check.difference === 0),
+        checks
+      };
+    });
+
+    const mismatches = results.filter((result) => !result.reconciled);
+
+    return res.json({
+      success: true,
+      data: {
+        checked: results.length,
+        reconciled: results.length - mismatches.length,
+        mismatches
+      }
+    });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
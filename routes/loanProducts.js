@@ -0,0 +1,177 @@
+// routes/loanProducts.js - Loan Product Routes
+const express = require('express');
+const LoanProduct = require('../models/LoanProduct');
+const Loan = require('../models/Loan');
+const { protect, authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Get all loan products
+router.get('/', protect, async (req, res) => {
+  try {
+    const { active } = req.query;
+
+    let query = {};
+
+    // Filter by availability
+    if (active !== undefined) {
+      query.isActive = active === 'true';
+    }
+
+    const products = await LoanProduct.find(query).sort('name');
+
+    return res.json({
+      success: true,
+      count: products.length,
+      data: products
+    });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Get single loan product
+router.get('/:id', protect, async (req, res) => {
+  try {
+    const product = await LoanProduct.findById(req.params.id)
+      .populate('createdBy', 'firstName lastName staffId')
+      .populate('updatedBy', 'firstName lastName staffId');
+
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Loan product not found'
+      });
+    }
+
+    return res.json({
+      success: true,
+      data: product
+    });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Create loan product (Admin only)
+router.post('/', protect, authorize('Admin'), async (req, res) => {
+  try {
+    const existing = await LoanProduct.findOne({ name: req.body.name });
+
+    if (existing) {
+      return res.status(400).json({
+        success: false,
+        message: `Loan product ${req.body.name} already exists`
+      });
+    }
+
+    const product = await LoanProduct.create({
+      ...req.body,
+      createdBy: req.user._id
+    });
+
+    return res.status(201).json({
+      success: true,
+      message: 'Loan product created successfully',
+      data: product
+    });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Update loan product (Admin only) - existing loans keep their snapshot terms
+router.put('/:id', protect, authorize('Admin'), async (req, res) => {
+  try {
+    const product = await LoanProduct.findById(req.params.id);
+
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Loan product not found'
+      });
+    }
+
+    // Loans and customers refer to products by name, so it cannot change once used
+    if (req.body.name && req.body.name !== product.name) {
+      const inUse = await Loan.exists({ loanProduct: product.name });
+      if (inUse) {
+        return res.status(400).json({
+          success: false,
+          message: 'Cannot rename a product that already has loans'
+        });
+      }
+    }
+
+    // Don't allow updating certain fields
+    delete req.body.createdBy;
+
+    product.set({
+      ...req.body,
+      updatedBy: req.user._id
+    });
+    await product.save();
+
+    return res.json({
+      success: true,
+      message: 'Loan product updated successfully',
+      data: product
+    });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Delete loan product (Admin only) - products with loans are deactivated instead
+router.delete('/:id', protect, authorize('Admin'), async (req, res) => {
+  try {
+    const product = await LoanProduct.findById(req.params.id);
+
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Loan product not found'
+      });
+    }
+
+    const inUse = await Loan.exists({ loanProduct: product.name });
+
+    if (inUse) {
+      product.isActive = false;
+      product.updatedBy = req.user._id;
+      await product.save();
+
+      return res.json({
+        success: true,
+        message: 'Loan product has existing loans and was deactivated',
+        data: product
+      });
+    }
+
+    await product.deleteOne();
+
+    return res.json({
+      success: true,
+      message: 'Loan product deleted successfully'
+    });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -2,150 +2,861 @@
 const express = require('express');
 const Loan = require('../models/Loan');
 const Customer = require('../models/Customer');
+const LoanProduct = require('../models/LoanProduct');
+const Penalty = require('../models/Penalty');
+const Repayment = require('../models/Repayment');
+const { priceLoan, disclosureRates, pricedFields } = require('../utils/loanPricing');
+const { checkEligibility } = require('../utils/eligibility');
+const { customerCycle } = require('../utils/loanCycle');
+const { resolveGuarantors, guarantorsWithExposure, copyGuarantors } = require('../utils/guarantors');
+const { refreshCreditScore } = require('../utils/creditScore');
+const { buildSchedule, roundMoney } = require('../utils/loanSchedule');
+const { postDisbursement, postRepayment, postPenaltyWaiver, postWriteOff } = require('../utils/ledger');
+const { withTransaction, transactionError } = require('../utils/transaction');
 const { protect, authorize } = require('../middleware/auth');
+const { idempotent } = require('../middleware/idempotency');
+const { uploadDocument } = require('../middleware/upload');
+const { addDocument, saveWithDocument, listDocuments, sendDocument } = require('../utils/documents');
+const { LOAN_DOCUMENT_TYPES } = require('../config/documents');
 
 const router = express.Router();
 
+// Figures the server calculates; any client-supplied values are ignored
+const CALCULATED_FIELDS = ['interestRate', 'interestMethod', 'annualPercentageRate', 'effectiveAnnualRate', 'interestAmount', 'totalPayable', 'tenureUnit', 'installmentAmount', 'fees', 'totalFees'];
+
+// Find a product by name and check an application against its limits
+const findProductForApplication = async (loanProduct, principalAmount, tenure) => {
+  const product = await LoanProduct.findOne({ name: loanProduct });
+  
+  if (!product) {
+    return { error: `Unknown loan product: ${loanProduct}` };
+  }
+  
+  const error = product.validateApplication({ principalAmount, tenure });
+  return error ? { error } : { product };
+};
+
+// Statuses a loan may be topped up or refinanced from
+const REFINANCEABLE_STATUSES = {
+  'Top-up': ['Active'],
+  Refinance: ['Active', 'Overdue']
+};
+
+// Pay off the loan a top-up/refinance replaces from the new loan's proceeds.
+// Runs inside the disbursement transaction; sets loan.settlementAmount.
+const settleRefinancedLoan = async (loan, userId, session) => {
+  const oldLoan = await Loan.findById(loan.refinances).session(session);
+  
+  if (!oldLoan || !REFINANCEABLE_STATUSES.Refinance.includes(oldLoan.status)) {
+    throw transactionError(400, 'The loan being refinanced is no longer open');
+  }
+  
+  // Settle the balance as it stands now, not as it was at application
+  const settlement = oldLoan.remainingBalance;
+  
+  if (settlement > loan.principalAmount - (loan.totalFees || 0)) {
+    throw transactionError(400, `Loan proceeds no longer cover the ${oldLoan.loanId} balance of ₦${settlement.toLocaleString()}`);
+  }
+  
+  if (settlement > 0) {
+    const [repayment] = await Repayment.create([{
+      loan: oldLoan._id,
+      customer: oldLoan.customer,
+      paymentAmount: settlement,
+      paymentMethod: 'Refinance',
+      transactionReference: loan.loanId,
+      status: 'Approved',
+      recordedBy: userId,
+      approvedBy: userId,
+      approvedAt: Date.now(),
+      notes: `Settled by ${loan.refinanceType.toLowerCase()} loan ${loan.loanId}`
+    }], { session });
+    
+    // Goes straight to Refinanced below, without passing through Completed
+    const allocation = oldLoan.recordPayment(settlement, new Date(), { keepStatus: true });
+    repayment.setAllocation(allocation);
+    repayment.remainingBalance = oldLoan.remainingBalance;
+    await repayment.save();
+    await Penalty.applyPayment(oldLoan._id, allocation.penaltyPaid, session);
+    await postRepayment(repayment, oldLoan, userId);
+  }
+  
+  oldLoan.changeStatus('Refinanced', `${loan.refinanceType} by ${loan.loanId}`, userId);
+  oldLoan.refinancedBy = loan._id;
+  oldLoan.refinancedAt = Date.now();
+  await oldLoan.save();
+  
+  loan.settlementAmount = settlement;
+  return oldLoan;
+};
+
+// Quote a loan: full pricing and schedule preview without creating anything
+router.post('/quote', protect, async (req, res) => {
+  try {
+    const { loanProduct, principalAmount, tenure, startDate } = req.body;
+    
+    if (!loanProduct || !principalAmount || !tenure) {
+      return res.status(400).json({
+        success: false,
+        message: 'loanProduct, principalAmount and tenure are required'
+      });
+    }
+    
+    const { product, error } = await findProductForApplication(loanProduct, Number(principalAmount), Number(tenure));
+    
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+    
+    const pricing = priceLoan(product, {
+      principalAmount: Number(principalAmount),
+      tenure: Number(tenure),
+      startDate: startDate ? new Date(startDate) : new Date()
+    });
+    
+    return res.json({
+      success: true,
+      data: pricing
+    });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
 // Create new loan application (Loan Officer or Admin)
-  router.post('/', protect, async (req, res) => {
-    try {
-      // Extract ALL fields including calculated ones from frontend
-      const { 
-        customer, 
-        loanProduct, 
-        principalAmount, 
-        tenure, 
-        purpose,
-        // IMPORTANT: Accept these calculated fields from frontend
-        interestRate,
-        interestAmount,
-        totalPayable,
-        tenureUnit,
-        installmentAmount,
-        startDate
-      } = req.body;
-      
-      // Verify customer exists and is approved
-      const customerDoc = await Customer.findById(customer);
+// Retries with the same Idempotency-Key header replay the first response.
+router.post('/', protect, idempotent, async (req, res) => {
+  try {
+    // Pricing is always calculated server-side from the product
+    const { 
+      customer, 
+      loanProduct, 
+      principalAmount, 
+      tenure, 
+      purpose,
+      startDate
+    } = req.body;
+    
+    // Verify customer exists and is approved
+    const customerDoc = await Customer.findById(customer);
+    
+    if (!customerDoc) {
+      return res.status(404).json({
+        success: false,
+        message: 'Customer not found'
+      });
+    }
+    
+    if (customerDoc.status !== 'Approved') {
+      return res.status(400).json({
+        success: false,
+        message: 'Customer must be approved before applying for a loan'
+      });
+    }
+    
+    // Validate against the product's configured limits
+    const { product, error } = await findProductForApplication(loanProduct, Number(principalAmount), Number(tenure));
+    
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+    
+    const { guarantors, error: guarantorError } = await resolveGuarantors(req.body.guarantors, customerDoc);
+    
+    if (guarantorError) {
+      return res.status(400).json({
+        success: false,
+        message: guarantorError
+      });
+    }
+    
+    // Customer-level rules: concurrent loans, arrears, cycle limits, group arrears, guarantors
+    const eligibility = await checkEligibility({
+      customer: customerDoc,
+      product,
+      principalAmount: Number(principalAmount),
+      guarantors
+    });
+    
+    if (!eligibility.eligible) {
+      return res.status(400).json({
+        success: false,
+        message: 'Customer is not eligible for this loan',
+        data: { reasons: eligibility.reasons }
+      });
+    }
+    
+    const pricing = priceLoan(product, {
+      principalAmount: Number(principalAmount),
+      tenure: Number(tenure)
+    });
+    
+    const cycle = await customerCycle(customerDoc._id);
+    
+    const loanData = {
+      customer,
+      loanCycle: cycle.currentCycle,
+      loanProduct: product.name,
+      product: product._id,
+      productTerms: product.toTerms(),
+      principalAmount: pricing.principalAmount,
+      tenure: pricing.tenure,
+      purpose,
+      guarantors,
+      createdBy: req.user._id,
+      ...pricedFields(pricing)
+    };
+    
+    // Add startDate if provided
+    if (startDate) {
+      loanData.startDate = startDate;
+    }
+    
+    const loan = await Loan.create(loanData);
+    
+    await loan.populate('customer', 'firstName lastName customerId phoneNumber');
+    await loan.populate('createdBy', 'firstName lastName staffId');
+    
+    return res.status(201).json({
+      success: true,
+      message: 'Loan application created successfully',
+      data: loan
+    });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Apply for a loan that pays off an existing one (Loan Officer or Admin)
+// Top-up: same product; principal is the old balance plus additionalAmount.
+// Refinance: new terms (loanProduct, tenure); principalAmount must cover the old balance.
+// The new loan goes through the normal approval path; the old loan is settled
+// from its proceeds at disbursement and closed as 'Refinanced'.
+const applyToRefinance = (refinanceType) => async (req, res) => {
+  try {
+    const oldLoan = await Loan.findById(req.params.id);
+    
+    if (!oldLoan) {
+      return res.status(404).json({
+        success: false,
+        message: 'Loan not found'
+      });
+    }
+    
+    // If Loan Officer, only allow their own loans
+    if (req.user.role === 'Loan Officer' && oldLoan.createdBy.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to refinance this loan'
+      });
+    }
+    
+    if (!REFINANCEABLE_STATUSES[refinanceType].includes(oldLoan.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `${refinanceType} is only available for ${REFINANCEABLE_STATUSES[refinanceType].join(' or ').toLowerCase()} loans`
+      });
+    }
+    
+    const inProgress = await Loan.findOne({ refinances: oldLoan._id, status: { $in: ['Pending', 'Approved'] } });
+    if (inProgress) {
+      return res.status(400).json({
+        success: false,
+        message: `Loan ${oldLoan.loanId} already has a ${inProgress.refinanceType.toLowerCase()} in progress (${inProgress.loanId})`
+      });
+    }
+    
+    if (await Repayment.exists({ loan: oldLoan._id, status: 'Pending' })) {
+      return res.status(400).json({
+        success: false,
+        message: 'Approve or reject the pending repayments on this loan first'
+      });
+    }
+    
+    const customerDoc = await Customer.findById(oldLoan.customer);
+    if (!customerDoc || customerDoc.status !== 'Approved') {
+      return res.status(400).json({
+        success: false,
+        message: 'Customer must be approved before applying for a loan'
+      });
+    }
+    
+    const settlement = oldLoan.remainingBalance;
+    let principalAmount;
+    let loanProduct;
+    let tenure;
+    
+    if (refinanceType === 'Top-up') {
+      const additionalAmount = Number(req.body.additionalAmount);
       
-      if (!customerDoc) {
-        return res.status(404).json({
+      if (!additionalAmount || additionalAmount <= 0) {
+        return res.status(400).json({
           success: false,
-          message: 'Customer not found'
+          message: 'additionalAmount is required'
         });
       }
       
-      if (customerDoc.status !== 'Approved') {
+      principalAmount = roundMoney(settlement + additionalAmount);
+      loanProduct = oldLoan.loanProduct;
+      tenure = Number(req.body.tenure || oldLoan.tenure);
+    } else {
+      principalAmount = Number(req.body.principalAmount);
+      loanProduct = req.body.loanProduct || oldLoan.loanProduct;
+      tenure = Number(req.body.tenure);
+      
+      if (!principalAmount || !tenure) {
         return res.status(400).json({
           success: false,
-          message: 'Customer must be approved before applying for a loan'
+          message: 'principalAmount and tenure are required'
+        });
+      }
+    }
+    
+    const { product, error } = await findProductForApplication(loanProduct, principalAmount, tenure);
+    
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+    
+    const pricing = priceLoan(product, { principalAmount, tenure });
+    
+    // Proceeds must at least pay off the old loan
+    if (pricing.netDisbursement < settlement) {
+      return res.status(400).json({
+        success: false,
+        message: `Loan proceeds (₦${pricing.netDisbursement.toLocaleString()} after fees) do not cover the ${oldLoan.loanId} balance of ₦${settlement.toLocaleString()}`
+      });
+    }
+    
+    // Guarantors carry over from the old loan unless new ones are given
+    const { guarantors, error: guarantorError } = await resolveGuarantors(
+      req.body.guarantors || copyGuarantors(oldLoan),
+      customerDoc
+    );
+    
+    if (guarantorError) {
+      return res.status(400).json({
+        success: false,
+        message: guarantorError
+      });
+    }
+    
+    // The old loan will be paid off, so it does not count against the customer
+    const eligibility = await checkEligibility({
+      customer: customerDoc,
+      product,
+      principalAmount,
+      excludeLoanIds: [oldLoan._id],
+      guarantors
+    });
+    
+    if (!eligibility.eligible) {
+      return res.status(400).json({
+        success: false,
+        message: 'Customer is not eligible for this loan',
+        data: { reasons: eligibility.reasons }
+      });
+    }
+    
+    const cycle = await customerCycle(customerDoc._id);
+    
+    const loan = await Loan.create({
+      customer: customerDoc._id,
+      loanCycle: cycle.currentCycle,
+      loanProduct: product.name,
+      product: product._id,
+      productTerms: product.toTerms(),
+      principalAmount: pricing.principalAmount,
+      tenure: pricing.tenure,
+      purpose: req.body.purpose || `${refinanceType} of ${oldLoan.loanId}`,
+      refinanceType,
+      refinances: oldLoan._id,
+      settlementAmount: settlement,
+      guarantors,
+      createdBy: req.user._id,
+      ...pricedFields(pricing)
+    });
+    
+    await loan.populate('customer', 'firstName lastName customerId phoneNumber');
+    await loan.populate('refinances', 'loanId status remainingBalance');
+    
+    return res.status(201).json({
+      success: true,
+      message: `${refinanceType} application created; about ₦${settlement.toLocaleString()} of the proceeds will settle ${oldLoan.loanId}`,
+      data: loan
+    });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+router.post('/:id/top-up', protect, idempotent, applyToRefinance('Top-up'));
+router.post('/:id/refinance', protect, idempotent, applyToRefinance('Refinance'));
+
+// Get all loans
+router.get('/', protect, async (req, res) => {
+  try {
+    const { status, loanProduct, customerId, groupId, groupLoanBatch, search } = req.query;
+    
+    let query = {};
+    
+    // If Loan Officer, only show loans they created
+    if (req.user.role === 'Loan Officer') {
+      query.createdBy = req.user._id;
+    }
+    
+    // Filter by status
+    if (status) {
+      query.status = status;
+    }
+    
+    // Filter by loan product
+    if (loanProduct) {
+      query.loanProduct = loanProduct;
+    }
+    
+    // Filter by customer ID
+    if (customerId) {
+      query.customer = customerId;
+    }
+    
+    // Filter by group / group loan batch
+    if (groupId) {
+      query.group = groupId;
+    }
+    
+    if (groupLoanBatch) {
+      query.groupLoanBatch = groupLoanBatch;
+    }
+    
+    // Search by loan ID
+    if (search) {
+      query.loanId = { $regex: search, $options: 'i' };
+    }
+    
+    const loans = await Loan.find(query)
+      .populate('customer', 'firstName lastName customerId phoneNumber email')
+      .populate('createdBy', 'firstName lastName staffId')
+      .populate('approvedBy', 'firstName lastName staffId')
+      .populate('disbursedBy', 'firstName lastName staffId')
+      .sort('-createdAt');
+    
+    return res.json({
+      success: true,
+      count: loans.length,
+      data: loans
+    });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Get single loan
+router.get('/:id', protect, async (req, res) => {
+  try {
+    const loan = await Loan.findById(req.params.id)
+      .populate('customer')
+      .populate('createdBy', 'firstName lastName staffId')
+      .populate('approvedBy', 'firstName lastName staffId')
+      .populate('disbursedBy', 'firstName lastName staffId');
+    
+    if (!loan) {
+      return res.status(404).json({
+        success: false,
+        message: 'Loan not found'
+      });
+    }
+    
+    // If Loan Officer, only allow viewing their own loans
+    if (req.user.role === 'Loan Officer' && loan.createdBy._id.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view this loan'
+      });
+    }
+    
+    // Loans priced before disclosures were stored: work the rates out for display
+    if (loan.effectiveAnnualRate === undefined || loan.effectiveAnnualRate === null) {
+      const installments = loan.schedule && loan.schedule.length > 0
+        ? loan.schedule
+        : buildSchedule({
+          principalAmount: loan.principalAmount,
+          interestAmount: loan.interestAmount,
+          interestRate: loan.interestRate,
+          interestMethod: loan.interestMethod,
+          tenure: loan.tenure,
+          tenureUnit: loan.tenureUnit,
+          startDate: loan.startDate || loan.applicationDate
         });
+      
+      Object.assign(loan, disclosureRates({
+        amountReceived: loan.principalAmount - (loan.totalFees || 0),
+        installments: installments.map((installment) => installment.totalDue),
+        tenureUnit: loan.tenureUnit
+      }));
+    }
+    
+    return res.json({
+      success: true,
+      data: {
+        ...loan.toObject(),
+        guarantors: await guarantorsWithExposure(loan)
       }
+    });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Get loan repayment schedule
+router.get('/:id/schedule', protect, async (req, res) => {
+  try {
+    const loan = await Loan.findById(req.params.id)
+      .populate('customer', 'firstName lastName customerId phoneNumber');
+    
+    if (!loan) {
+      return res.status(404).json({
+        success: false,
+        message: 'Loan not found'
+      });
+    }
+    
+    // If Loan Officer, only allow viewing their own loans
+    if (req.user.role === 'Loan Officer' && loan.createdBy.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view this loan'
+      });
+    }
+    
+    if (!loan.startDate) {
+      return res.status(400).json({
+        success: false,
+        message: 'Schedule is generated when the loan is disbursed'
+      });
+    }
+    
+    // Loans disbursed before schedules existed: build one now and replay payments
+    if (!loan.schedule || loan.schedule.length === 0) {
+      loan.generateSchedule();
+      loan.applyToSchedule(loan.totalPaid || 0);
+    }
+    
+    loan.refreshScheduleStatus();
+    if (loan.isModified()) {
+      await loan.save();
+    }
+    
+    const now = new Date();
+    const missed = loan.schedule.filter((item) => item.status === 'Missed');
+    const amountOverdue = missed.reduce((sum, item) => sum + (item.totalDue - item.amountPaid), 0);
+    const nextDue = loan.schedule.find((item) => item.status !== 'Paid' && item.dueDate >= now);
+    
+    return res.json({
+      success: true,
+      data: {
+        loan: {
+          _id: loan._id,
+          loanId: loan.loanId,
+          loanProduct: loan.loanProduct,
+          status: loan.status,
+          customer: loan.customer,
+          tenure: loan.tenure,
+          tenureUnit: loan.tenureUnit,
+          startDate: loan.startDate,
+          endDate: loan.endDate
+        },
+        summary: {
+          totalInstallments: loan.schedule.length,
+          paidInstallments: loan.schedule.filter((item) => item.status === 'Paid').length,
+          missedInstallments: missed.length,
+          amountOverdue,
+          nextDueInstallment: nextDue || null
+        },
+        schedule: loan.schedule
+      }
+    });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Get loan penalties (late fees)
+router.get('/:id/penalties', protect, async (req, res) => {
+  try {
+    const loan = await Loan.findById(req.params.id);
+    
+    if (!loan) {
+      return res.status(404).json({
+        success: false,
+        message: 'Loan not found'
+      });
+    }
+    
+    // If Loan Officer, only allow viewing their own loans
+    if (req.user.role === 'Loan Officer' && loan.createdBy.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view this loan'
+      });
+    }
+    
+    const penalties = await Penalty.find({ loan: loan._id })
+      .populate('waivedBy', 'firstName lastName staffId')
+      .sort('accrualDate');
+    
+    return res.json({
+      success: true,
+      count: penalties.length,
+      summary: {
+        penaltyAmount: loan.penaltyAmount,
+        penaltyPaid: loan.penaltyPaid,
+        penaltyOutstanding: Math.max(0, loan.penaltyAmount - loan.penaltyPaid)
+      },
+      data: penalties
+    });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Waive a penalty (Admin only)
+router.put('/:id/penalties/:penaltyId/waive', protect, authorize('Admin'), async (req, res) => {
+  try {
+    const { waiverReason } = req.body;
+    
+    if (!waiverReason) {
+      return res.status(400).json({
+        success: false,
+        message: 'Waiver reason is required'
+      });
+    }
+    
+    // The penalty, loan and journal entry are written in one transaction
+    const { penalty, loan, amountToWaive } = await withTransaction(async (session) => {
+      const penalty = await Penalty.findOne({ _id: req.params.penaltyId, loan: req.params.id }).session(session);
       
-      // Validate tenure based on product (from PRD)
-      if (loanProduct === 'Monthly' && tenure > 6) {
-        return res.status(400).json({
-          success: false,
-          message: 'Monthly loan tenure cannot exceed 6 months'
-        });
+      if (!penalty) {
+        throw transactionError(404, 'Penalty not found');
       }
       
-      if (loanProduct === 'Weekly' && tenure > 24) {
-        return res.status(400).json({
-          success: false,
-          message: 'Weekly loan tenure cannot exceed 24 weeks'
-        });
-      }
+      const amountToWaive = penalty.outstanding();
       
-      if (loanProduct === 'Daily' && tenure > 20) {
-        return res.status(400).json({
-          success: false,
-          message: 'Daily loan tenure cannot exceed 20 days'
-        });
+      if (penalty.status !== 'Accrued' || amountToWaive <= 0) {
+        throw transactionError(400, `Penalty is already ${penalty.status.toLowerCase()}`);
       }
       
-      // IMPORTANT: Include ALL calculated fields in loanData
-      const loanData = {
-        customer,
-        loanProduct,
-        principalAmount,
-        tenure,
-        purpose,
-        createdBy: req.user._id,
-        // Include calculated fields from frontend
-        interestRate,
-        interestAmount,
-        totalPayable,
-        tenureUnit,
-        installmentAmount
-      };
+      const loan = await Loan.findById(req.params.id).session(session);
       
-      // Add startDate if provided
-      if (startDate) {
-        loanData.startDate = startDate;
+      if (!loan) {
+        throw transactionError(404, 'Loan not found');
       }
       
-      const loan = await Loan.create(loanData);
+      penalty.waivedAmount = amountToWaive;
+      penalty.status = 'Waived';
+      penalty.waivedBy = req.user._id;
+      penalty.waivedAt = Date.now();
+      penalty.waiverReason = waiverReason;
+      await penalty.save();
+      
+      loan.adjustPenalty(-amountToWaive);
+      loan.completeIfPaid(new Date(), 'Remaining penalties waived');
+      await loan.save();
       
-      await loan.populate('customer', 'firstName lastName customerId phoneNumber');
-      await loan.populate('createdBy', 'firstName lastName staffId');
+      await postPenaltyWaiver(penalty, amountToWaive, loan, req.user._id);
       
-      return res.status(201).json({
-        success: true,
-        message: 'Loan application created successfully',
-        data: loan
+      return { penalty, loan, amountToWaive };
+    });
+    
+    return res.json({
+      success: true,
+      message: `Penalty of ₦${amountToWaive.toLocaleString()} waived`,
+      data: {
+        penalty,
+        loan: {
+          _id: loan._id,
+          loanId: loan.loanId,
+          status: loan.status,
+          penaltyAmount: loan.penaltyAmount,
+          remainingBalance: loan.remainingBalance
+        }
+      }
+    });
+  } catch (error) {
+    return res.status(error.status || 500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Get loan documents (current versions; ?history=true for every version)
+router.get('/:id/documents', protect, async (req, res) => {
+  try {
+    const loan = await Loan.findById(req.params.id).select('loanId documents createdBy');
+
+    if (!loan) {
+      return res.status(404).json({
+        success: false,
+        message: 'Loan not found'
       });
-    } catch (error) {
-      return res.status(500).json({
+    }
+
+    // If Loan Officer, only allow their own loans
+    if (req.user.role === 'Loan Officer' && loan.createdBy.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
         success: false,
-        message: error.message
+        message: 'Not authorized to view this loan'
       });
     }
-  });
 
-// Get all loans
-router.get('/', protect, async (req, res) => {
+    const documents = listDocuments(loan, req.query.history === 'true');
+
+    return res.json({
+      success: true,
+      count: documents.length,
+      data: documents
+    });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Upload a loan document (multipart: file, documentType, notes)
+router.post('/:id/documents', protect, uploadDocument, async (req, res) => {
   try {
-    const { status, loanProduct, customerId, search } = req.query;
-    
-    let query = {};
-    
-    // If Loan Officer, only show loans they created
-    if (req.user.role === 'Loan Officer') {
-      query.createdBy = req.user._id;
+    const { documentType, notes } = req.body;
+
+    if (!LOAN_DOCUMENT_TYPES.includes(documentType)) {
+      return res.status(400).json({
+        success: false,
+        message: `documentType must be one of: ${LOAN_DOCUMENT_TYPES.join(', ')}`
+      });
     }
-    
-    // Filter by status
-    if (status) {
-      query.status = status;
+
+    const loan = await Loan.findById(req.params.id);
+
+    if (!loan) {
+      return res.status(404).json({
+        success: false,
+        message: 'Loan not found'
+      });
     }
-    
-    // Filter by loan product
-    if (loanProduct) {
-      query.loanProduct = loanProduct;
+
+    // If Loan Officer, only allow their own loans
+    if (req.user.role === 'Loan Officer' && loan.createdBy.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to add documents to this loan'
+      });
     }
-    
-    // Filter by customer ID
-    if (customerId) {
-      query.customer = customerId;
+
+    const document = await addDocument(loan, {
+      file: req.file,
+      documentType,
+      notes,
+      user: req.user,
+      folder: 'loans',
+      basePath: `/api/loans/${loan._id}/documents`
+    });
+    await saveWithDocument(loan, document);
+
+    return res.status(201).json({
+      success: true,
+      message: `${documentType} uploaded`,
+      data: document
+    });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Replace a loan document with a new version (the old version is kept)
+router.put('/:id/documents/:documentId', protect, uploadDocument, async (req, res) => {
+  try {
+    const loan = await Loan.findById(req.params.id);
+
+    if (!loan) {
+      return res.status(404).json({
+        success: false,
+        message: 'Loan not found'
+      });
     }
-    
-    // Search by loan ID
-    if (search) {
-      query.loanId = { $regex: search, $options: 'i' };
+
+    // If Loan Officer, only allow their own loans
+    if (req.user.role === 'Loan Officer' && loan.createdBy.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to update documents on this loan'
+      });
     }
-    
-    const loans = await Loan.find(query)
-      .populate('customer', 'firstName lastName customerId phoneNumber email')
-      .populate('createdBy', 'firstName lastName staffId')
-      .populate('approvedBy', 'firstName lastName staffId')
-      .populate('disbursedBy', 'firstName lastName staffId')
-      .sort('-createdAt');
-    
+
+    const previous = loan.documents.id(req.params.documentId);
+
+    if (!previous) {
+      return res.status(404).json({
+        success: false,
+        message: 'Document not found'
+      });
+    }
+
+    if (previous.isCurrent === false) {
+      return res.status(400).json({
+        success: false,
+        message: 'Only the current version of a document can be replaced'
+      });
+    }
+
+    const document = await addDocument(loan, {
+      file: req.file,
+      notes: req.body.notes,
+      user: req.user,
+      folder: 'loans',
+      basePath: `/api/loans/${loan._id}/documents`,
+      replaces: previous
+    });
+    await saveWithDocument(loan, document);
+
     return res.json({
       success: true,
-      count: loans.length,
-      data: loans
+      message: `${document.documentType} replaced (version ${document.version})`,
+      data: document
     });
   } catch (error) {
     return res.status(500).json({
@@ -155,34 +866,45 @@ router.get('/', protect, async (req, res) => {
   }
 });
 
-// Get single loan
-router.get('/:id', protect, async (req, res) => {
+// Download a loan document (any version)
+router.get('/:id/documents/:documentId/download', protect, async (req, res) => {
   try {
-    const loan = await Loan.findById(req.params.id)
-      .populate('customer')
-      .populate('createdBy', 'firstName lastName staffId')
-      .populate('approvedBy', 'firstName lastName staffId')
-      .populate('disbursedBy', 'firstName lastName staffId');
-    
+    const loan = await Loan.findById(req.params.id).select('documents createdBy');
+
     if (!loan) {
       return res.status(404).json({
         success: false,
         message: 'Loan not found'
       });
     }
-    
-    // If Loan Officer, only allow viewing their own loans
-    if (req.user.role === 'Loan Officer' && loan.createdBy._id.toString() !== req.user._id.toString()) {
+
+    // If Loan Officer, only allow their own loans
+    if (req.user.role === 'Loan Officer' && loan.createdBy.toString() !== req.user._id.toString()) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to view this loan'
       });
     }
-    
-    return res.json({
-      success: true,
-      data: loan
-    });
+
+    const document = loan.documents.id(req.params.documentId);
+
+    if (!document) {
+      return res.status(404).json({
+        success: false,
+        message: 'Document not found'
+      });
+    }
+
+    // Older records only hold a link to a file kept elsewhere
+    if (!document.storageKey) {
+      return res.status(404).json({
+        success: false,
+        message: 'Document file is not stored in the system',
+        data: { documentUrl: document.documentUrl }
+      });
+    }
+
+    return await sendDocument(res, document);
   } catch (error) {
     return res.status(500).json({
       success: false,
@@ -225,6 +947,57 @@ router.put('/:id', protect, async (req, res) => {
     delete req.body.approvedBy;
     delete req.body.totalPaid;
     delete req.body.status;
+    delete req.body.product;
+    delete req.body.productTerms;
+    delete req.body.loanCycle;
+    delete req.body.refinanceType;
+    delete req.body.refinances;
+    delete req.body.settlementAmount;
+    delete req.body.refinancedBy;
+    delete req.body.refinancedAt;
+    delete req.body.documents;
+    CALCULATED_FIELDS.forEach((field) => delete req.body[field]);
+    
+    // Replacing the guarantors: check them as on application
+    if (req.body.guarantors !== undefined) {
+      const customerDoc = await Customer.findById(loan.customer);
+      const { guarantors, error: guarantorError } = await resolveGuarantors(req.body.guarantors, customerDoc);
+      
+      if (guarantorError) {
+        return res.status(400).json({
+          success: false,
+          message: guarantorError
+        });
+      }
+      req.body.guarantors = guarantors;
+    }
+    
+    // Re-check product limits and re-price when the terms change
+    if (req.body.loanProduct || req.body.principalAmount || req.body.tenure) {
+      const { product, error } = await findProductForApplication(
+        req.body.loanProduct || loan.loanProduct,
+        Number(req.body.principalAmount || loan.principalAmount),
+        Number(req.body.tenure || loan.tenure)
+      );
+      
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: error
+        });
+      }
+      
+      const pricing = priceLoan(product, {
+        principalAmount: Number(req.body.principalAmount || loan.principalAmount),
+        tenure: Number(req.body.tenure || loan.tenure)
+      });
+      
+      Object.assign(req.body, pricedFields(pricing), {
+        loanProduct: product.name,
+        product: product._id,
+        productTerms: product.toTerms()
+      });
+    }
     
     loan = await Loan.findByIdAndUpdate(
       req.params.id,
@@ -264,6 +1037,38 @@ router.put('/:id/approve', protect, authorize('Admin'), async (req, res) => {
       });
     }
     
+    // Re-run eligibility: the customer's position may have changed since application
+    const customer = await Customer.findById(loan.customer);
+    if (!customer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Customer not found'
+      });
+    }
+    
+    const product = loan.product
+      ? await LoanProduct.findById(loan.product)
+      : await LoanProduct.findOne({ name: loan.loanProduct });
+    
+    const eligibility = await checkEligibility({
+      customer,
+      product,
+      principalAmount: loan.principalAmount,
+      excludeLoanIds: [loan._id, loan.refinances],
+      guarantors: loan.guarantors
+    });
+    
+    // Fresh behavioural score for the approver
+    const creditScore = await refreshCreditScore(customer._id);
+    
+    if (!eligibility.eligible) {
+      return res.status(400).json({
+        success: false,
+        message: 'Customer is no longer eligible for this loan',
+        data: { reasons: eligibility.reasons, creditScore }
+      });
+    }
+    
     loan.status = 'Approved';
     loan.approvedBy = req.user._id;
     loan.approvalDate = Date.now();
@@ -275,7 +1080,10 @@ router.put('/:id/approve', protect, authorize('Admin'), async (req, res) => {
     return res.json({
       success: true,
       message: 'Loan approved successfully',
-      data: loan
+      data: {
+        ...loan.toObject(),
+        creditScore
+      }
     });
   } catch (error) {
     return res.status(500).json({
@@ -332,44 +1140,110 @@ router.put('/:id/reject', protect, authorize('Admin'), async (req, res) => {
 });
 
 // Disburse loan (Admin only)
+// The loan and its disbursement journal entry are written in one transaction.
 router.put('/:id/disburse', protect, authorize('Admin'), async (req, res) => {
   try {
-    const loan = await Loan.findById(req.params.id);
+    const loan = await withTransaction(async (session) => {
+      const loan = await Loan.findById(req.params.id).session(session);
+      
+      if (!loan) {
+        throw transactionError(404, 'Loan not found');
+      }
+      
+      if (loan.status !== 'Approved') {
+        throw transactionError(400, 'Only approved loans can be disbursed');
+      }
+      
+      loan.status = 'Disbursed';
+      loan.disbursedBy = req.user._id;
+      loan.disbursementDate = Date.now();
+      loan.disbursementMethod = req.body.disbursementMethod || 'Cash';
+      loan.startDate = Date.now();
+      loan.generateSchedule();
+      
+      // Top-up / refinance: settle the old loan from the proceeds first
+      if (loan.refinances) {
+        await settleRefinancedLoan(loan, req.user._id, session);
+      }
+      
+      await loan.save();
+      
+      // After disbursement, activate the loan
+      loan.status = 'Active';
+      await loan.save();
+      
+      await postDisbursement(loan, req.user._id);
+      
+      return loan;
+    });
     
-    if (!loan) {
-      return res.status(404).json({
-        success: false,
-        message: 'Loan not found'
-      });
-    }
+    await loan.populate('customer');
+    await loan.populate('disbursedBy', 'firstName lastName staffId');
+    await loan.populate('refinances', 'loanId status refinancedAt');
+    
+    return res.json({
+      success: true,
+      message: loan.refinances
+        ? `Loan disbursed and activated; ₦${loan.settlementAmount.toLocaleString()} settled ${loan.refinances.loanId}`
+        : 'Loan disbursed and activated successfully',
+      data: loan
+    });
+  } catch (error) {
+    return res.status(error.status || 500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Write off a defaulted loan (Admin only)
+router.put('/:id/write-off', protect, authorize('Admin'), async (req, res) => {
+  try {
+    const { writeOffReason } = req.body;
     
-    if (loan.status !== 'Approved') {
+    if (!writeOffReason) {
       return res.status(400).json({
         success: false,
-        message: 'Only approved loans can be disbursed'
+        message: 'Write-off reason is required'
       });
     }
     
-    loan.status = 'Disbursed';
-    loan.disbursedBy = req.user._id;
-    loan.disbursementDate = Date.now();
-    loan.startDate = Date.now();
-    await loan.save();
-    
-    // After disbursement, activate the loan
-    loan.status = 'Active';
-    await loan.save();
-    
-    await loan.populate('customer');
-    await loan.populate('disbursedBy', 'firstName lastName staffId');
+    // The loan and its write-off journal entry are written in one transaction
+    const { loan, principal, penalty } = await withTransaction(async (session) => {
+      const loan = await Loan.findById(req.params.id).session(session);
+      
+      if (!loan) {
+        throw transactionError(404, 'Loan not found');
+      }
+      
+      if (loan.status !== 'Defaulted') {
+        throw transactionError(400, 'Only defaulted loans can be written off');
+      }
+      
+      // Unpaid interest was never booked as income, so only principal and penalties come off the books
+      const principal = Math.max(0, loan.principalAmount - loan.principalPaid);
+      const penalty = Math.max(0, loan.penaltyAmount - loan.penaltyPaid);
+      
+      loan.writtenOffPrincipal = principal;
+      loan.writtenOffPenalty = penalty;
+      loan.writtenOffAt = Date.now();
+      loan.writtenOffBy = req.user._id;
+      loan.writeOffReason = writeOffReason;
+      loan.changeStatus('Written Off', writeOffReason, req.user._id);
+      await loan.save();
+      
+      await postWriteOff(loan, { principal, penalty }, req.user._id);
+      
+      return { loan, principal, penalty };
+    });
     
     return res.json({
       success: true,
-      message: 'Loan disbursed and activated successfully',
+      message: `Loan written off (₦${(principal + penalty).toLocaleString()})`,
       data: loan
     });
   } catch (error) {
-    return res.status(500).json({
+    return res.status(error.status || 500).json({
       success: false,
       message: error.message
     });
@@ -2,12 +2,72 @@
 const express = require('express');
 const Repayment = require('../models/Repayment');
 const Loan = require('../models/Loan');
-const { protect } = require('../middleware/auth');
+const Penalty = require('../models/Penalty');
+const Group = require('../models/Group');
+const CollectionBatch = require('../models/CollectionBatch');
+const { rebalanceLoan } = require('../utils/loanRebalance');
+const { postRepayment, postRepaymentReversal } = require('../utils/ledger');
+const { withTransaction, transactionError } = require('../utils/transaction');
+const { refreshCreditScore } = require('../utils/creditScore');
+const { buildCollectionSheet } = require('../utils/collectionSheet');
+const { protect, authorize } = require('../middleware/auth');
+const { idempotent } = require('../middleware/idempotency');
 
 const router = express.Router();
 
-// Record new repayment
-router.post('/', protect, async (req, res) => {
+// Record a Pending receipt against a loan; used by single and bulk posting.
+// allowedCustomers limits which borrowers' loans may be paid (a group's members).
+const recordRepayment = async (session, {
+  loan, paymentAmount, paymentMethod, transactionReference, notes, paymentDate, collectionBatch, recordedBy, allowedCustomers,
+}) => {
+  const loanDoc = await Loan.findById(loan).session(session);
+  if (!loanDoc) {
+    throw transactionError(404, 'Loan not found');
+  }
+
+  if (allowedCustomers && !allowedCustomers.some((id) => String(id) === String(loanDoc.customer))) {
+    throw transactionError(400, 'Loan does not belong to a member of this group');
+  }
+
+  if (!Loan.REPAYABLE_STATUSES.includes(loanDoc.status)) {
+    throw transactionError(400, `Cannot record a repayment on a ${loanDoc.status.toLowerCase()} loan`);
+  }
+
+  // Reject overpayments, counting repayments still awaiting approval
+  const pending = await Repayment.aggregate([
+    { $match: { loan: loanDoc._id, status: 'Pending' } },
+    { $group: { _id: null, total: { $sum: '$paymentAmount' } } },
+  ]).session(session);
+  const pendingTotal = pending.length > 0 ? pending[0].total : 0;
+  const payableBalance = (loanDoc.remainingBalance || 0) - pendingTotal;
+
+  if (Number(paymentAmount) > payableBalance) {
+    throw transactionError(400, `Payment amount (${paymentAmount}) exceeds remaining balance (${payableBalance})`);
+  }
+
+  // Repayments start as Pending; the loan only changes when an Admin approves
+  const [created] = await Repayment.create([{
+    loan,
+    customer: loanDoc.customer,
+    paymentAmount,
+    remainingBalance: loanDoc.remainingBalance,
+    paymentDate,
+    paymentMethod,
+    transactionReference,
+    collectionBatch,
+    recordedBy,
+    notes,
+  }], { session });
+
+  // Bump the loan's version so concurrent postings against it cannot both pass the balance check
+  loanDoc.increment();
+  await loanDoc.save();
+
+  return created;
+};
+
+// Record new repayment (retries with the same Idempotency-Key header replay the first response)
+router.post('/', protect, idempotent, async (req, res) => {
   try {
     const { loan, paymentAmount, paymentMethod, transactionReference, notes } = req.body;
 
@@ -18,50 +78,348 @@ router.post('/', protect, async (req, res) => {
       });
     }
 
-    const loanDoc = await Loan.findById(loan).populate('customer');
-    if (!loanDoc) {
-      return res.status(404).json({
+    const repayment = await withTransaction((session) => recordRepayment(session, {
+      loan,
+      paymentAmount,
+      paymentMethod,
+      transactionReference,
+      notes,
+      recordedBy: req.user._id,
+    }));
+
+    // ✅ single populate call for frontend
+    await repayment.populate([
+      { path: 'loan', select: 'loanId loanProduct remainingBalance totalPaid interestPaid principalPaid' },
+      { path: 'customer', select: 'firstName lastName customerId phoneNumber' },
+    ]);
+
+    return res.status(201).json({
+      success: true,
+      message: 'Repayment recorded and awaiting approval',
+      data: repayment,
+    });
+  } catch (error) {
+    return res.status(error.status || 500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+});
+
+// Post a group meeting's collection sheet in one call (Loan Officer or Admin)
+// Body: { group, meetingDate, cashReceived, paymentMethod, notes, lines: [{ loan, paymentAmount, transactionReference, notes }] }
+// Each line is posted on its own, so one bad line does not block the rest; the
+// batch records each line's outcome and reconciles the posted total against cashReceived.
+router.post('/bulk', protect, idempotent, async (req, res) => {
+  try {
+    const { group, meetingDate, cashReceived, paymentMethod, notes, lines } = req.body;
+
+    if (!Array.isArray(lines) || lines.length === 0 || cashReceived === undefined) {
+      return res.status(400).json({
         success: false,
-        message: 'Loan not found',
+        message: 'lines and cashReceived are required',
       });
     }
 
-    // Calculate new balances
-    const newTotalPaid = (loanDoc.totalPaid || 0) + Number(paymentAmount);
-    const remainingBalance = (loanDoc.totalPayable || 0) - newTotalPaid;
+    // Checked before any line is posted: a batch that cannot be saved would leave its receipts orphaned
+    const cash = Number(cashReceived);
+    if (cashReceived === null || cashReceived === '' || !Number.isFinite(cash) || cash < 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'cashReceived must be a number of 0 or more',
+      });
+    }
 
-    // Create repayment
-    let repayment = await Repayment.create({
-      loan,
-      customer: loanDoc.customer._id,
-      paymentAmount,
+    if (paymentMethod !== undefined && !CollectionBatch.PAYMENT_METHODS.includes(paymentMethod)) {
+      return res.status(400).json({
+        success: false,
+        message: `paymentMethod must be one of: ${CollectionBatch.PAYMENT_METHODS.join(', ')}`,
+      });
+    }
+
+    const meeting = meetingDate ? new Date(meetingDate) : new Date();
+    if (Number.isNaN(meeting.getTime()) || meeting > new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Meeting date must be a valid date that is not in the future',
+      });
+    }
+
+    let groupDoc = null;
+    if (group) {
+      groupDoc = await Group.findById(group);
+
+      if (!groupDoc) {
+        return res.status(404).json({
+          success: false,
+          message: 'Group not found',
+        });
+      }
+
+      // If Loan Officer, only allow their own groups
+      if (req.user.role === 'Loan Officer' && groupDoc.createdBy.toString() !== req.user._id.toString()) {
+        return res.status(403).json({
+          success: false,
+          message: 'Not authorized to post collections for this group',
+        });
+      }
+    }
+
+    const batch = new CollectionBatch({
+      group: groupDoc ? groupDoc._id : undefined,
+      meetingDate: meeting,
       paymentMethod,
-      transactionReference,
-      remainingBalance,
-      recordedBy: req.user._id,
+      cashReceived: cash,
+      collectedBy: req.user._id,
       notes,
     });
 
-    // Update loan
-    loanDoc.totalPaid = newTotalPaid;
-    loanDoc.remainingBalance = remainingBalance;
-    await loanDoc.save();
+    // What the sheet expected before anything from this meeting was posted
+    if (groupDoc) {
+      const sheet = await buildCollectionSheet(groupDoc, meeting);
+      batch.expectedTotal = sheet.totals.expectedAmount;
+    }
+
+    for (const line of lines) {
+      const paymentAmount = Number(line.paymentAmount) || 0;
+
+      try {
+        if (!line.loan || !(paymentAmount > 0)) {
+          throw transactionError(400, 'Loan and paymentAmount are required');
+        }
+
+        const repayment = await withTransaction((session) => recordRepayment(session, {
+          loan: line.loan,
+          paymentAmount,
+          paymentMethod: batch.paymentMethod,
+          transactionReference: line.transactionReference,
+          notes: line.notes,
+          paymentDate: meeting,
+          collectionBatch: batch._id,
+          recordedBy: req.user._id,
+          allowedCustomers: groupDoc ? groupDoc.activeMemberIds() : undefined,
+        }));
+
+        batch.lines.push({
+          loan: line.loan,
+          customer: repayment.customer,
+          paymentAmount,
+          status: 'Posted',
+          repayment: repayment._id,
+          receiptId: repayment.receiptId,
+        });
+      } catch (error) {
+        batch.lines.push({ loan: line.loan, paymentAmount, status: 'Failed', error: error.message });
+      }
+    }
+
+    batch.reconcile();
+    await batch.save();
+
+    await batch.populate([
+      { path: 'lines.loan', select: 'loanId loanProduct customer remainingBalance' },
+      { path: 'lines.customer', select: 'customerId firstName lastName' },
+      { path: 'group', select: 'groupId name' },
+      { path: 'collectedBy', select: 'firstName lastName staffId' },
+    ]);
+
+    const posted = batch.lines.filter((line) => line.status === 'Posted').length;
+    const variance = batch.reconciliationStatus === 'Balanced'
+      ? 'cash balances'
+      : `cash is ${batch.reconciliationStatus.toLowerCase()} by ₦${Math.abs(batch.variance).toLocaleString()}`;
+
+    return res.status(201).json({
+      success: true,
+      message: `${posted} of ${batch.lines.length} line(s) posted and awaiting approval; ${variance}`,
+      data: batch,
+    });
+  } catch (error) {
+    return res.status(error.status || 500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+});
+
+// Get collection batches (Loan Officers see their own)
+router.get('/batches', protect, async (req, res) => {
+  try {
+    const { group, reconciliationStatus } = req.query;
+
+    let query = {};
+
+    if (req.user.role === 'Loan Officer') {
+      query.collectedBy = req.user._id;
+    }
+
+    if (group) {
+      query.group = group;
+    }
+
+    // Filter by reconciliation (e.g. Short for batches needing follow-up)
+    if (reconciliationStatus) {
+      query.reconciliationStatus = reconciliationStatus;
+    }
+
+    const batches = await CollectionBatch.find(query)
+      .select('-lines')
+      .populate('group', 'groupId name')
+      .populate('collectedBy', 'firstName lastName staffId')
+      .sort('-meetingDate');
+
+    return res.json({
+      success: true,
+      count: batches.length,
+      data: batches,
+    });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+});
+
+// Get single collection batch with its lines
+router.get('/batches/:id', protect, async (req, res) => {
+  try {
+    const batch = await CollectionBatch.findById(req.params.id)
+      .populate('lines.loan', 'loanId loanProduct customer remainingBalance status')
+      .populate('lines.customer', 'customerId firstName lastName')
+      .populate('lines.repayment', 'receiptId status paymentAmount')
+      .populate('group', 'groupId name meetingDay meetingLocation')
+      .populate('collectedBy', 'firstName lastName staffId');
+
+    if (!batch) {
+      return res.status(404).json({
+        success: false,
+        message: 'Collection batch not found',
+      });
+    }
+
+    if (req.user.role === 'Loan Officer' && batch.collectedBy._id.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view this collection batch',
+      });
+    }
+
+    return res.json({
+      success: true,
+      data: batch,
+    });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+});
+
+// Approve repayment and apply it to the loan (Admin only)
+// The receipt, loan, penalties and journal entry are written in one transaction.
+router.put('/:id/approve', protect, authorize('Admin'), async (req, res) => {
+  try {
+    const { repayment, loanDoc } = await withTransaction(async (session) => {
+      const repayment = await Repayment.findById(req.params.id).session(session);
+
+      if (!repayment) {
+        throw transactionError(404, 'Repayment not found');
+      }
+
+      if (repayment.status !== 'Pending') {
+        throw transactionError(400, `Repayment is already ${repayment.status.toLowerCase()}`);
+      }
+
+      const loanDoc = await Loan.findById(repayment.loan).session(session);
+      if (!loanDoc) {
+        throw transactionError(404, 'Loan not found');
+      }
+
+      if (!Loan.REPAYABLE_STATUSES.includes(loanDoc.status)) {
+        throw transactionError(400, `Cannot apply a repayment to a ${loanDoc.status.toLowerCase()} loan`);
+      }
+
+      if (repayment.paymentAmount > loanDoc.remainingBalance) {
+        throw transactionError(400, `Payment amount (${repayment.paymentAmount}) exceeds remaining balance (${loanDoc.remainingBalance})`);
+      }
+
+      // Allocate in the product's order (penalty, interest, principal) and update the loan
+      const allocation = loanDoc.recordPayment(repayment.paymentAmount, repayment.paymentDate);
+      repayment.setAllocation(allocation);
+      repayment.status = 'Approved';
+      repayment.approvedBy = req.user._id;
+      repayment.approvedAt = Date.now();
+
+      await loanDoc.save();
+      await repayment.save();
+      await Penalty.applyPayment(loanDoc._id, allocation.penaltyPaid, session);
+      await postRepayment(repayment, loanDoc, req.user._id);
+
+      return { repayment, loanDoc };
+    });
+
+    // The payment is committed; a scoring failure should not fail the response
+    await refreshCreditScore(repayment.customer)
+      .catch((error) => console.error('Credit score refresh failed:', error.message));
 
-    // ✅ single populate call for frontend
     await repayment.populate([
-      { path: 'loan', select: 'loanId loanProduct remainingBalance' },
+      { path: 'loan', select: 'loanId loanProduct status remainingBalance totalPaid penaltyPaid interestPaid principalPaid completedAt' },
       { path: 'customer', select: 'firstName lastName customerId phoneNumber' },
+      { path: 'approvedBy', select: 'firstName lastName staffId' },
     ]);
 
-return res.status(201).json({
-  success: true,
-  message: 'Repayment recorded successfully',
-  data: repayment,
+    return res.json({
+      success: true,
+      message: loanDoc.status === 'Completed'
+        ? 'Repayment approved; loan fully repaid and completed'
+        : 'Repayment approved successfully',
+      data: repayment,
+    });
+  } catch (error) {
+    return res.status(error.status || 500).json({
+      success: false,
+      message: error.message,
+    });
+  }
 });
 
-    return res.status(201).json({
+// Reject repayment (Admin only) - the loan is left untouched
+router.put('/:id/reject', protect, authorize('Admin'), async (req, res) => {
+  try {
+    const { rejectionReason } = req.body;
+
+    if (!rejectionReason) {
+      return res.status(400).json({
+        success: false,
+        message: 'Rejection reason is required',
+      });
+    }
+
+    const repayment = await Repayment.findById(req.params.id);
+
+    if (!repayment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Repayment not found',
+      });
+    }
+
+    if (repayment.status !== 'Pending') {
+      return res.status(400).json({
+        success: false,
+        message: `Repayment is already ${repayment.status.toLowerCase()}`,
+      });
+    }
+
+    repayment.status = 'Rejected';
+    repayment.rejectionReason = rejectionReason;
+    repayment.rejectedAt = Date.now();
+    await repayment.save();
+
+    return res.json({
       success: true,
-      message: 'Repayment recorded successfully',
+      message: 'Repayment rejected',
       data: repayment,
     });
   } catch (error) {
@@ -72,10 +430,137 @@ return res.status(201).json({
   }
 });
 
+// Reverse an approved repayment (Admin only)
+// Creates a contra entry linked to the original and rebuilds the loan's balances.
+router.post('/:id/reverse', protect, authorize('Admin'), async (req, res) => {
+  try {
+    const { reason } = req.body;
+
+    if (!reason) {
+      return res.status(400).json({
+        success: false,
+        message: 'Reversal reason is required',
+      });
+    }
+
+    const { original, contra } = await withTransaction(async (session) => {
+      const original = await Repayment.findById(req.params.id).session(session);
+
+      if (!original) {
+        throw transactionError(404, 'Repayment not found');
+      }
+
+      if (original.isReversal) {
+        throw transactionError(400, 'A reversal entry cannot itself be reversed');
+      }
+
+      if (original.isReversed) {
+        throw transactionError(400, 'Repayment has already been reversed');
+      }
+
+      if (original.status !== 'Approved') {
+        throw transactionError(400, 'Only approved repayments can be reversed; reject pending ones instead');
+      }
+
+      if (original.paymentMethod === 'Refinance') {
+        throw transactionError(400, 'Refinance settlements cannot be reversed on their own');
+      }
+
+      const loanDoc = await Loan.findById(original.loan).session(session);
+      if (!loanDoc) {
+        throw transactionError(404, 'Loan not found');
+      }
+
+      // The balance was settled by a top-up/refinance; reopening it would leave an
+      // uncollectable debt on a closed loan
+      if (loanDoc.status === 'Refinanced') {
+        throw transactionError(400, `Loan ${loanDoc.loanId} was closed by refinancing; its repayments cannot be reversed`);
+      }
+
+      // Contra entry: equal and opposite to the original receipt
+      const [contra] = await Repayment.create([{
+        loan: original.loan,
+        customer: original.customer,
+        paymentAmount: -original.paymentAmount,
+        penaltyPaid: -original.penaltyPaid,
+        interestPaid: -original.interestPaid,
+        principalPaid: -original.principalPaid,
+        paymentMethod: original.paymentMethod,
+        transactionReference: original.transactionReference,
+        status: 'Approved',
+        recordedBy: req.user._id,
+        approvedBy: req.user._id,
+        approvedAt: Date.now(),
+        isReversal: true,
+        reversalOf: original._id,
+        notes: `Reversal of ${original.receiptId}: ${reason}`,
+      }], { session });
+
+      original.isReversed = true;
+      original.reversalEntry = contra._id;
+      original.reversedAt = Date.now();
+      original.reversalReason = reason;
+      await original.save();
+
+      await postRepaymentReversal(contra, original, loanDoc, req.user._id);
+
+      // Rebuild totals, schedule, penalties and status without the reversed receipt
+      await rebalanceLoan(loanDoc, {
+        reason: `Repayment ${original.receiptId} reversed`,
+        postedBy: req.user._id,
+      });
+
+      contra.remainingBalance = loanDoc.remainingBalance;
+      await contra.save();
+
+      return { original, contra };
+    });
+
+    await refreshCreditScore(original.customer)
+      .catch((error) => console.error('Credit score refresh failed:', error.message));
+
+    await contra.populate([
+      { path: 'loan', select: 'loanId loanProduct status remainingBalance totalPaid penaltyPaid interestPaid principalPaid' },
+      { path: 'customer', select: 'firstName lastName customerId phoneNumber' },
+      { path: 'reversalOf', select: 'receiptId paymentAmount paymentDate isReversed reversedAt reversalReason' },
+    ]);
+
+    return res.status(201).json({
+      success: true,
+      message: `Repayment ${original.receiptId} reversed`,
+      data: contra,
+    });
+  } catch (error) {
+    return res.status(error.status || 500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+});
+
 // Get all repayments
 router.get('/', protect, async (req, res) => {
   try {
-    const repayments = await Repayment.find()
+    const { status, loan, collectionBatch } = req.query;
+
+    let query = {};
+
+    // Filter by status (e.g. Pending for the approval queue)
+    if (status) {
+      query.status = status;
+    }
+
+    // Filter by loan
+    if (loan) {
+      query.loan = loan;
+    }
+
+    // Filter by collection batch (receipts posted at one group meeting)
+    if (collectionBatch) {
+      query.collectionBatch = collectionBatch;
+    }
+
+    const repayments = await Repayment.find(query)
       .populate('loan', 'loanId loanProduct remainingBalance')
       .populate('customer', 'firstName lastName customerId phoneNumber')
       .sort('-createdAt');
@@ -94,127 +579,3 @@ router.get('/', protect, async (req, res) => {
 });
 
 module.exports = router;
-
-
-
-
-// // Record new repayment
-// router.post('/', protect, async (req, res) => {
-//   try {
-//     const { 
-//       loan, 
-//       paymentAmount, 
-//       interestPortion, // from frontend
-//       principalPortion, // from frontend
-//       paymentMethod, 
-//       transactionReference, 
-//       notes 
-//     } = req.body;
-
-//     if (!loan || !paymentAmount) {
-//       return res.status(400).json({
-//         success: false,
-//         message: 'Loan and paymentAmount are required',
-//       });
-//     }
-
-//     // Get loan with customer populated
-//     const loanDoc = await Loan.findById(loan).populate('customer');
-//     if (!loanDoc) {
-//       return res.status(404).json({
-//         success: false,
-//         message: 'Loan not found',
-//       });
-//     }
-
-//     // Get current loan balances
-//     const totalPayable = loanDoc.totalPayable || 0;
-//     const totalPaid = loanDoc.totalPaid || 0;
-//     const interestAmount = loanDoc.interestAmount || 0;
-//     const principalAmount = loanDoc.principalAmount || 0;
-//     const interestPaidSoFar = loanDoc.interestPaid || Math.min(totalPaid, interestAmount);
-//     const principalPaidSoFar = loanDoc.principalPaid || Math.max(0, totalPaid - interestAmount);
-
-//     // Calculate remaining amounts
-//     const remainingInterest = Math.max(0, interestAmount - interestPaidSoFar);
-//     const remainingPrincipal = Math.max(0, principalAmount - principalPaidSoFar);
-//     const currentBalance = totalPayable - totalPaid;
-
-//     // Validate payment amount doesn't exceed balance
-//     if (Number(paymentAmount) > currentBalance) {
-//       return res.status(400).json({
-//         success: false,
-//         message: `Payment amount (${paymentAmount}) exceeds remaining balance (${currentBalance})`,
-//       });
-//     }
-
-//     // Calculate allocation: interest first, then principal
-//     let calculatedInterestPortion = 0;
-//     let calculatedPrincipalPortion = 0;
-
-//     if (remainingInterest > 0) {
-//       calculatedInterestPortion = Math.min(Number(paymentAmount), remainingInterest);
-//       calculatedPrincipalPortion = Math.min(Number(paymentAmount) - calculatedInterestPortion, remainingPrincipal);
-//     } else {
-//       calculatedPrincipalPortion = Math.min(Number(paymentAmount), remainingPrincipal);
-//     }
-
-//     // Use calculated values (backend is source of truth)
-//     const finalInterestPortion = calculatedInterestPortion;
-//     const finalPrincipalPortion = calculatedPrincipalPortion;
-
-//     // Calculate new balances
-//     const newTotalPaid = totalPaid + Number(paymentAmount);
-//     const newInterestPaid = interestPaidSoFar + finalInterestPortion;
-//     const newPrincipalPaid = principalPaidSoFar + finalPrincipalPortion;
-//     const newRemainingBalance = Math.max(0, totalPayable - newTotalPaid);
-
-//     // Create repayment record
-//     let repayment = await Repayment.create({
-//       loan,
-//       customer: loanDoc.customer._id,
-//       paymentAmount: Number(paymentAmount),
-//       interestPaid: finalInterestPortion, // Store as interestPaid in repayment
-//       principalPaid: finalPrincipalPortion, // Store as principalPaid in repayment
-//       remainingInterest: Math.max(0, remainingInterest - finalInterestPortion),
-//       remainingPrincipal: Math.max(0, remainingPrincipal - finalPrincipalPortion),
-//       remainingBalance: newRemainingBalance, // Balance AFTER this payment
-//       paymentMethod: paymentMethod || 'Cash',
-//       transactionReference,
-//       recordedBy: req.user._id,
-//       notes,
-//       status: 'Approved', // Auto-approve repayments
-//     });
-
-//     // Update loan balances
-//     loanDoc.totalPaid = newTotalPaid;
-//     loanDoc.interestPaid = newInterestPaid;
-//     loanDoc.principalPaid = newPrincipalPaid;
-//     loanDoc.remainingBalance = newRemainingBalance;
-    
-//     // Update loan status if fully paid
-//     if (newRemainingBalance <= 0 && loanDoc.status === 'Active') {
-//       loanDoc.status = 'Completed';
-//     }
-    
-//     await loanDoc.save();
-
-//     // Populate repayment for response
-//     await repayment.populate([
-//       { path: 'loan', select: 'loanId loanProduct remainingBalance totalPaid interestPaid principalPaid' },
-//       { path: 'customer', select: 'firstName lastName customerId phoneNumber' },
-//     ]);
-
-//     return res.status(201).json({
-//       success: true,
-//       message: 'Repayment recorded successfully',
-//       data: repayment,
-//     });
-//   } catch (error) {
-//     console.error('Error recording repayment:', error);
-//     return res.status(500).json({
-//       success: false,
-//       message: error.message,
-//     });
-//   }
-// });
\ No newline at end of file
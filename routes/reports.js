@@ -4,7 +4,14 @@ const Loan = require('../models/Loan');
 const Repayment = require('../models/Repayment');
 const Customer = require('../models/Customer');
 const User = require('../models/User');
+const LoanProduct = require('../models/LoanProduct');
 const { protect, authorize } = require('../middleware/auth');
+const {
+  roundMoney,
+  daysBetween,
+  daysPastDue,
+  scheduleWithAmountPaid
+} = require('../utils/loanSchedule');
 
 const router = express.Router();
 
@@ -158,55 +165,45 @@ router.get('/monthly-performance', protect, authorize('Admin'), async (req, res)
 // Product Distribution (PRD Section 9.2.B)
 router.get('/product-distribution', protect, authorize('Admin'), async (req, res) => {
   try {
-    const monthlyLoans = await Loan.countDocuments({ loanProduct: 'Monthly' });
-    const weeklyLoans = await Loan.countDocuments({ loanProduct: 'Weekly' });
-    const dailyLoans = await Loan.countDocuments({ loanProduct: 'Daily' });
+    // Configured products plus any product names still on older loans
+    const products = await LoanProduct.find().sort('name');
+    const loanProductNames = await Loan.distinct('loanProduct');
+    const productNames = Array.from(new Set([...products.map((product) => product.name), ...loanProductNames]));
     
-    const monthlyAmount = await Loan.aggregate([
-      { $match: { loanProduct: 'Monthly' } },
-      { $group: { _id: null, total: { $sum: '$principalAmount' } } }
+    const distribution = await Loan.aggregate([
+      {
+        $group: {
+          _id: '$loanProduct',
+          count: { $sum: 1 },
+          total: { $sum: '$principalAmount' }
+        }
+      }
     ]);
+    const byProduct = new Map(distribution.map((item) => [item._id, item]));
     
-    const weeklyAmount = await Loan.aggregate([
-      { $match: { loanProduct: 'Weekly' } },
-      { $group: { _id: null, total: { $sum: '$principalAmount' } } }
-    ]);
+    const totalLoans = distribution.reduce((sum, item) => sum + item.count, 0);
     
-    const dailyAmount = await Loan.aggregate([
-      { $match: { loanProduct: 'Daily' } },
-      { $group: { _id: null, total: { $sum: '$principalAmount' } } }
-    ]);
+    const byCount = {};
+    const byAmount = {};
     
-    const totalLoans = monthlyLoans + weeklyLoans + dailyLoans;
+    productNames.forEach((name) => {
+      const key = name.toLowerCase();
+      const item = byProduct.get(name) || { count: 0, total: 0 };
+      
+      byCount[key] = {
+        count: item.count,
+        percentage: totalLoans > 0 ? ((item.count / totalLoans) * 100).toFixed(2) : 0
+      };
+      byAmount[key] = {
+        amount: item.total
+      };
+    });
     
     return res.json({
       success: true,
       data: {
-        byCount: {
-          monthly: {
-            count: monthlyLoans,
-            percentage: totalLoans > 0 ? ((monthlyLoans / totalLoans) * 100).toFixed(2) : 0
-          },
-          weekly: {
-            count: weeklyLoans,
-            percentage: totalLoans > 0 ? ((weeklyLoans / totalLoans) * 100).toFixed(2) : 0
-          },
-          daily: {
-            count: dailyLoans,
-            percentage: totalLoans > 0 ? ((dailyLoans / totalLoans) * 100).toFixed(2) : 0
-          }
-        },
-        byAmount: {
-          monthly: {
-            amount: monthlyAmount.length > 0 ? monthlyAmount[0].total : 0
-          },
-          weekly: {
-            amount: weeklyAmount.length > 0 ? weeklyAmount[0].total : 0
-          },
-          daily: {
-            amount: dailyAmount.length > 0 ? dailyAmount[0].total : 0
-          }
-        }
+        byCount,
+        byAmount
       }
     });
   } catch (error) {
@@ -355,6 +352,176 @@ router.get('/loan-status', protect, authorize('Admin'), async (req, res) => {
   }
 });
 
+// Days-past-due aging buckets used by the PAR report
+const AGING_BUCKETS = [
+  { key: 'current', label: 'Current', min: 0, max: 0 },
+  { key: 'dpd1to6', label: '1-6 days', min: 1, max: 6 },
+  { key: 'dpd7to29', label: '7-29 days', min: 7, max: 29 },
+  { key: 'dpd30to89', label: '30-89 days', min: 30, max: 89 },
+  { key: 'dpd90plus', label: '90+ days', min: 90, max: Infinity }
+];
+
+// Summarise a set of { outstanding, dpd } rows into aging buckets and PAR ratios
+const summarisePortfolio = (rows) => {
+  const totalOutstanding = roundMoney(rows.reduce((sum, row) => sum + row.outstanding, 0));
+  const atRisk = (days) => roundMoney(rows
+    .filter((row) => row.dpd >= days)
+    .reduce((sum, row) => sum + row.outstanding, 0));
+  const ratio = (amount) => (totalOutstanding > 0 ? ((amount / totalOutstanding) * 100).toFixed(2) : 0);
+
+  const buckets = AGING_BUCKETS.map((bucket) => {
+    const inBucket = rows.filter((row) => row.dpd >= bucket.min && row.dpd <= bucket.max);
+    const outstanding = roundMoney(inBucket.reduce((sum, row) => sum + row.outstanding, 0));
+
+    return {
+      bucket: bucket.key,
+      label: bucket.label,
+      loans: inBucket.length,
+      outstanding,
+      percentage: ratio(outstanding)
+    };
+  });
+
+  return {
+    loanCount: rows.length,
+    totalOutstanding,
+    buckets,
+    par: {
+      par1: { amount: atRisk(1), percentage: ratio(atRisk(1)) },
+      par7: { amount: atRisk(7), percentage: ratio(atRisk(7)) },
+      par30: { amount: atRisk(30), percentage: ratio(atRisk(30)) },
+      par90: { amount: atRisk(90), percentage: ratio(atRisk(90)) }
+    }
+  };
+};
+
+// Group rows by a key and summarise each group
+const summariseBy = (rows, keyFn, labelFn) => {
+  const groups = new Map();
+
+  rows.forEach((row) => {
+    const key = keyFn(row);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(row);
+  });
+
+  return Array.from(groups.entries()).map(([key, groupRows]) => ({
+    ...labelFn(key, groupRows[0]),
+    ...summarisePortfolio(groupRows)
+  }));
+};
+
+// Portfolio at Risk (PAR) and aging buckets
+router.get('/portfolio-at-risk', protect, authorize('Admin'), async (req, res) => {
+  try {
+    const asOf = req.query.asOf ? new Date(req.query.asOf) : new Date();
+
+    if (Number.isNaN(asOf.getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid asOf date'
+      });
+    }
+
+    if (req.query.asOf) {
+      asOf.setHours(23, 59, 59);
+    }
+
+    // Loans disbursed by the as-of date that had not yet been paid off, refinanced
+    // or written off by then (whatever has happened to them since)
+    const openAt = (field) => ({ $or: [{ [field]: { $exists: false } }, { [field]: null }, { [field]: { $gt: asOf } }] });
+    const loans = await Loan.find({
+      disbursementDate: { $lte: asOf },
+      status: { $in: ['Active', 'Overdue', 'Defaulted', 'Completed', 'Refinanced', 'Written Off'] },
+      $and: [openAt('completedAt'), openAt('refinancedAt'), openAt('writtenOffAt')]
+    }).populate('createdBy', 'firstName lastName staffId branch');
+
+    // Approved principal and interest paid per loan up to the as-of date. Penalty
+    // payments are left out: totalPayable covers principal and interest only.
+    // Receipts recorded before allocations were stored count in full.
+    const payments = await Repayment.aggregate([
+      {
+        $match: {
+          loan: { $in: loans.map((loan) => loan._id) },
+          status: 'Approved',
+          paymentDate: { $lte: asOf }
+        }
+      },
+      {
+        $group: {
+          _id: '$loan',
+          total: {
+            $sum: {
+              $cond: [
+                {
+                  $and: [
+                    { $eq: [{ $ifNull: ['$penaltyPaid', 0] }, 0] },
+                    { $eq: [{ $ifNull: ['$interestPaid', 0] }, 0] },
+                    { $eq: [{ $ifNull: ['$principalPaid', 0] }, 0] }
+                  ]
+                },
+                '$paymentAmount',
+                { $add: [{ $ifNull: ['$interestPaid', 0] }, { $ifNull: ['$principalPaid', 0] }] }
+              ]
+            }
+          }
+        }
+      }
+    ]);
+    const paidByLoan = new Map(payments.map((item) => [item._id.toString(), item.total]));
+
+    const rows = loans
+      .map((loan) => {
+        const paid = paidByLoan.get(loan._id.toString()) || 0;
+        const outstanding = roundMoney((loan.totalPayable || 0) - paid);
+
+        let dpd = 0;
+        if (loan.schedule && loan.schedule.length > 0) {
+          dpd = daysPastDue(scheduleWithAmountPaid(loan.schedule, paid), asOf);
+        } else if (loan.endDate && asOf > loan.endDate) {
+          dpd = daysBetween(loan.endDate, asOf);
+        }
+
+        return {
+          loanProduct: loan.loanProduct,
+          officer: loan.createdBy,
+          branch: (loan.createdBy && loan.createdBy.branch) || 'Unassigned',
+          outstanding,
+          dpd: outstanding > 0 ? dpd : 0
+        };
+      })
+      .filter((row) => row.outstanding > 0);
+
+    return res.json({
+      success: true,
+      asOf,
+      data: {
+        portfolio: summarisePortfolio(rows),
+        byProduct: summariseBy(rows, (row) => row.loanProduct, (key) => ({ loanProduct: key })),
+        byOfficer: summariseBy(
+          rows,
+          (row) => (row.officer ? row.officer._id.toString() : 'unassigned'),
+          (key, row) => ({
+            officer: row.officer
+              ? {
+                  id: row.officer._id,
+                  name: `${row.officer.firstName} ${row.officer.lastName}`,
+                  staffId: row.officer.staffId
+                }
+              : null
+          })
+        ),
+        byBranch: summariseBy(rows, (row) => row.branch, (key) => ({ branch: key }))
+      }
+    });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
 // Date Range Report (Custom)
 router.get('/date-range', protect, authorize('Admin'), async (req, res) => {
   try {
@@ -0,0 +1,56 @@
+// scripts/backfillLedger.js - Post journal entries for activity recorded before the ledger existed
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const Loan = require('../models/Loan');
+const Repayment = require('../models/Repayment');
+const Penalty = require('../models/Penalty');
+const JournalEntry = require('../models/JournalEntry');
+const { effectiveRepaymentsQuery } = require('../utils/loanRebalance');
+const { postDisbursement, postRepayment, postPenalty, postPenaltyWaiver } = require('../utils/ledger');
+
+dotenv.config();
+
+const backfillLedger = async () => {
+  try {
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log('✅ MongoDB Connected');
+
+    const posted = { disbursements: 0, repayments: 0, penalties: 0, waivers: 0 };
+    const loans = await Loan.find({ disbursementDate: { $exists: true } });
+
+    for (const loan of loans) {
+      if (!(await JournalEntry.exists({ loan: loan._id, entryType: 'Disbursement' }))) {
+        await postDisbursement(loan, loan.disbursedBy);
+        posted.disbursements++;
+      }
+
+      // Reversed receipts and their contras cancel out, so only effective receipts are posted
+      const repayments = await Repayment.find(effectiveRepaymentsQuery(loan._id)).sort('paymentDate createdAt');
+      for (const repayment of repayments) {
+        if (await JournalEntry.exists({ repayment: repayment._id, entryType: 'Repayment' })) continue;
+        await postRepayment(repayment, loan, repayment.approvedBy);
+        posted.repayments++;
+      }
+
+      const penalties = await Penalty.find({ loan: loan._id }).sort('accrualDate');
+      for (const penalty of penalties) {
+        if (await JournalEntry.exists({ penalty: penalty._id, entryType: 'Penalty' })) continue;
+        await postPenalty(penalty, loan);
+        posted.penalties++;
+
+        if (penalty.waivedAmount > 0) {
+          await postPenaltyWaiver(penalty, penalty.waivedAmount, loan, penalty.waivedBy);
+          posted.waivers++;
+        }
+      }
+    }
+
+    console.log(`✅ Ledger backfill complete: ${posted.disbursements} disbursement(s), ${posted.repayments} repayment(s), ${posted.penalties} penalty(ies), ${posted.waivers} waiver(s)`);
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error:', error.message);
+    process.exit(1);
+  }
+};
+
+backfillLedger();
@@ -0,0 +1,42 @@
+// scripts/backfillLoanCycles.js - Set loanCycle on loans created before cycles were tracked
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const Loan = require('../models/Loan');
+
+dotenv.config();
+
+const backfillLoanCycles = async () => {
+  try {
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log('✅ MongoDB Connected');
+
+    const customerIds = await Loan.distinct('customer', { loanCycle: { $exists: false } });
+    let loansUpdated = 0;
+
+    for (const customerId of customerIds) {
+      const loans = await Loan.find({ customer: customerId })
+        .select('loanId loanCycle status applicationDate completedAt createdAt')
+        .sort('applicationDate createdAt');
+
+      for (const loan of loans) {
+        if (loan.loanCycle) continue;
+
+        // Cycle = loans completed before this one was applied for, plus one
+        const applied = loan.applicationDate || loan.createdAt;
+        const completedBefore = loans.filter((other) => other.status === 'Completed' && other.completedAt && other.completedAt <= applied).length;
+
+        await Loan.updateOne({ _id: loan._id }, { $set: { loanCycle: completedBefore + 1 } });
+        loansUpdated++;
+        console.log(`✔ ${loan.loanId}: cycle ${completedBefore + 1}`);
+      }
+    }
+
+    console.log(`✅ Backfill complete: ${loansUpdated} loan(s) across ${customerIds.length} customer(s)`);
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error:', error.message);
+    process.exit(1);
+  }
+};
+
+backfillLoanCycles();
@@ -0,0 +1,44 @@
+// scripts/backfillRepaymentAllocations.js - Re-allocate existing repayments in allocation order (penalty, interest, principal)
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const Loan = require('../models/Loan');
+const Repayment = require('../models/Repayment');
+const { rebalanceLoan } = require('../utils/loanRebalance');
+
+dotenv.config();
+
+const backfillAllocations = async () => {
+  try {
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log('✅ MongoDB Connected');
+
+    // Only approved repayments affect loan balances
+    const loanIds = await Repayment.distinct('loan', { status: 'Approved' });
+    let loansUpdated = 0;
+    let repaymentsUpdated = 0;
+
+    for (const loanId of loanIds) {
+      const loan = await Loan.findById(loanId);
+
+      if (!loan) {
+        console.log(`⚠️  Skipping repayments for missing loan ${loanId}`);
+        continue;
+      }
+
+      // Replay approved repayments in the order they were paid
+      const repayments = await rebalanceLoan(loan, { reason: 'Repayment allocations backfilled' });
+
+      repaymentsUpdated += repayments.length;
+      loansUpdated++;
+      console.log(`✔ ${loan.loanId}: ${repayments.length} repayment(s), interest paid ₦${loan.interestPaid}, principal paid ₦${loan.principalPaid}`);
+    }
+
+    console.log(`✅ Backfill complete: ${repaymentsUpdated} repayment(s) across ${loansUpdated} loan(s)`);
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error:', error.message);
+    process.exit(1);
+  }
+};
+
+backfillAllocations();
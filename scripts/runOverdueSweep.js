@@ -0,0 +1,41 @@
+// scripts/runOverdueSweep.js - Run the overdue/default sweep once
+// Usage: node scripts/runOverdueSweep.js [--as-of=YYYY-MM-DD]
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const { runOverdueSweep } = require('../jobs/overdueSweep');
+
+dotenv.config();
+
+const parseAsOf = () => {
+  const arg = process.argv.find((value) => value.startsWith('--as-of='));
+  if (!arg) return new Date();
+
+  const asOf = new Date(arg.split('=')[1]);
+  if (Number.isNaN(asOf.getTime())) {
+    throw new Error(`Invalid --as-of date: ${arg}`);
+  }
+  return asOf;
+};
+
+const run = async () => {
+  try {
+    const asOf = parseAsOf();
+
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log('✅ MongoDB Connected');
+
+    const summary = await runOverdueSweep({ asOf });
+
+    summary.transitions.forEach((item) => {
+      console.log(`✔ ${item.loanId}: ${item.from} → ${item.to} (${item.reason})`);
+    });
+    console.log(`✅ Checked ${summary.checked} loan(s): ${summary.markedOverdue} marked Overdue, ${summary.markedDefaulted} marked Defaulted`);
+
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error:', error.message);
+    process.exit(1);
+  }
+};
+
+run();
@@ -0,0 +1,37 @@
+// scripts/runPenaltyAccrual.js - Run the late-fee accrual once
+// Usage: node scripts/runPenaltyAccrual.js [--as-of=YYYY-MM-DD]
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const { runPenaltyAccrual } = require('../jobs/penaltyAccrual');
+
+dotenv.config();
+
+const parseAsOf = () => {
+  const arg = process.argv.find((value) => value.startsWith('--as-of='));
+  if (!arg) return new Date();
+
+  const asOf = new Date(arg.split('=')[1]);
+  if (Number.isNaN(asOf.getTime())) {
+    throw new Error(`Invalid --as-of date: ${arg}`);
+  }
+  return asOf;
+};
+
+const run = async () => {
+  try {
+    const asOf = parseAsOf();
+
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log('✅ MongoDB Connected');
+
+    const summary = await runPenaltyAccrual({ asOf });
+    console.log(`✅ Checked ${summary.checked} loan(s): ${summary.charged} charged, ₦${summary.totalCharged} in penalties`);
+
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error:', error.message);
+    process.exit(1);
+  }
+};
+
+run();
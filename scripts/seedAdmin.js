@@ -18,10 +18,6 @@ const seedAdmin = async () => {
       process.exit(0);
     }
 
-    // Generate staff ID
-    const count = await User.countDocuments();
-    const staffId = `STAFF${String(count + 1).padStart(4, '0')}`;
-
     // Hash password (SAFE)
     const salt = await bcrypt.genSalt(10);
     const hashedPassword = await bcrypt.hash('Admin@123', salt);
@@ -34,7 +30,6 @@ const seedAdmin = async () => {
       role: 'Admin',
       phoneNumber: '+234-XXX-XXX-XXXX',
       branch: 'Main Office',
-      staffId,
       isActive: true
     });
 
@@ -0,0 +1,58 @@
+// scripts/seedCounters.js - Start ID counters after the highest existing IDs
+// Run once when upgrading a database that already has customers, loans, receipts or staff.
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const Counter = require('../models/Counter');
+const Customer = require('../models/Customer');
+const Loan = require('../models/Loan');
+const Repayment = require('../models/Repayment');
+const User = require('../models/User');
+const Group = require('../models/Group');
+const CollectionBatch = require('../models/CollectionBatch');
+const JournalEntry = require('../models/JournalEntry');
+const { parseId } = require('../utils/identifiers');
+
+dotenv.config();
+
+const SOURCES = [
+  { type: 'customer', model: Customer, field: 'customerId' },
+  { type: 'loan', model: Loan, field: 'loanId' },
+  { type: 'repayment', model: Repayment, field: 'receiptId' },
+  { type: 'staff', model: User, field: 'staffId' },
+  { type: 'group', model: Group, field: 'groupId' },
+  { type: 'collection', model: CollectionBatch, field: 'batchId' },
+  { type: 'journal', model: JournalEntry, field: 'entryNumber' }
+];
+
+const seedCounters = async () => {
+  try {
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log('✅ MongoDB Connected');
+
+    for (const { type, model, field } of SOURCES) {
+      const ids = await model.distinct(field);
+
+      // Highest sequence number per counter key (one key per branch/year scope)
+      const highest = new Map();
+      ids.forEach((id) => {
+        const parsed = parseId(type, id);
+        if (parsed && parsed.seq > (highest.get(parsed.key) || 0)) {
+          highest.set(parsed.key, parsed.seq);
+        }
+      });
+
+      for (const [key, seq] of highest) {
+        await Counter.ensureAtLeast(key, seq);
+        console.log(`✔ ${key}: next number ${seq + 1}`);
+      }
+    }
+
+    console.log('✅ Counters initialised');
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error:', error.message);
+    process.exit(1);
+  }
+};
+
+seedCounters();
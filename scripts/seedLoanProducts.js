@@ -0,0 +1,76 @@
+// scripts/seedLoanProducts.js - Create the default Monthly, Weekly and Daily loan products
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const LoanProduct = require('../models/LoanProduct');
+
+dotenv.config();
+
+// Original PRD terms
+const defaultProducts = [
+  {
+    name: 'Monthly',
+    description: 'Monthly repayment loan',
+    interestRate: 25,
+    interestMethod: 'flat',
+    repaymentFrequency: 'Monthly',
+    minTenure: 1,
+    maxTenure: 6,
+    minPrincipal: 1000,
+    defaultGraceDays: 60
+  },
+  {
+    name: 'Weekly',
+    description: 'Weekly repayment loan',
+    interestRate: 27,
+    interestMethod: 'flat',
+    repaymentFrequency: 'Weekly',
+    minTenure: 1,
+    maxTenure: 24,
+    minPrincipal: 1000,
+    defaultGraceDays: 30,
+    kycRequirements: [
+      { item: 'UNION_LEADER', customerTypes: ['Group'] },
+      { item: 'UNION_SECRETARY', customerTypes: ['Group'] }
+    ]
+  },
+  {
+    name: 'Daily',
+    description: 'Daily repayment loan',
+    interestRate: 18,
+    interestMethod: 'flat',
+    repaymentFrequency: 'Daily',
+    minTenure: 1,
+    maxTenure: 20,
+    minPrincipal: 1000,
+    defaultGraceDays: 14,
+    kycRequirements: [
+      { item: 'GROUP_LEADER', customerTypes: ['Group'] }
+    ]
+  }
+];
+
+const seedLoanProducts = async () => {
+  try {
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log('✅ MongoDB Connected');
+
+    for (const productData of defaultProducts) {
+      const exists = await LoanProduct.findOne({ name: productData.name });
+
+      if (exists) {
+        console.log(`⚠️  ${productData.name} product already exists`);
+        continue;
+      }
+
+      await LoanProduct.create(productData);
+      console.log(`✅ ${productData.name} product created (${productData.interestRate}%, max ${productData.maxTenure})`);
+    }
+
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error:', error.message);
+    process.exit(1);
+  }
+};
+
+seedLoanProducts();
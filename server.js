@@ -4,8 +4,11 @@ const mongoose = require("mongoose");
 const cors = require("cors");
 const dotenv = require("dotenv");
 
+// Load .env before any module that reads configuration from it
 dotenv.config();
 
+const { startScheduler } = require("./jobs/scheduler");
+
 const app = express();
 
 /* =======================
@@ -30,6 +33,7 @@ app.use(
       }
     },
     credentials: true,
+    exposedHeaders: ["Idempotent-Replayed", "Content-Disposition"],
   })
 );
 
@@ -44,7 +48,10 @@ app.use(express.json());
    ======================= */
 mongoose
   .connect(process.env.MONGO_URI)
-  .then(() => console.log("✅ MongoDB Connected"))
+  .then(() => {
+    console.log("✅ MongoDB Connected");
+    startScheduler();
+  })
   .catch((err) =>
     console.error("❌ MongoDB Connection Error:", err)
   );
@@ -54,9 +61,12 @@ mongoose
    ======================= */
 app.use("/api/auth", require("./routes/auth"));
 app.use("/api/customers", require("./routes/customers"));
+app.use("/api/groups", require("./routes/groups"));
 app.use("/api/loans", require("./routes/loans"));
+app.use("/api/loan-products", require("./routes/loanProducts"));
 app.use("/api/repayments", require("./routes/repayments"));
 app.use("/api/reports", require("./routes/reports"));
+app.use("/api/ledger", require("./routes/ledger"));
 
 /* =======================
    HEALTH CHECK
@@ -0,0 +1,106 @@
+// test/helpers.js - In-memory database, signed-in Admin and sample records for route tests
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const { MongoMemoryReplSet } = require('mongodb-memory-server');
+
+const User = require('../models/User');
+const Customer = require('../models/Customer');
+const Loan = require('../models/Loan');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+// Transactions need a replica set; collections are created up front because
+// they cannot be created inside the transactions under test
+const startDatabase = async () => {
+  const replSet = await MongoMemoryReplSet.create({ replSet: { count: 1, storageEngine: 'wiredTiger' } });
+  await mongoose.connect(replSet.getUri());
+  await mongoose.connection.syncIndexes();
+  return replSet;
+};
+
+const stopDatabase = async (replSet) => {
+  await mongoose.disconnect();
+  if (replSet) await replSet.stop();
+};
+
+// Serve routers as server.js mounts them; returns { server, request }
+// where request(method, path, body, headers) resolves to { status, body }
+const startApp = async (routes, user) => {
+  const app = express();
+  app.use(express.json());
+  Object.entries(routes).forEach(([path, router]) => app.use(`/api${path}`, router));
+
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, () => resolve(listening));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}/api`;
+  const token = jwt.sign({ id: user._id, role: user.role }, process.env.JWT_SECRET);
+
+  const request = async (method, path, body, headers = {}) => {
+    const response = await fetch(`${baseUrl}${path}`, {
+      method,
+      headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}`, ...headers },
+      body: body && JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  return { server, request };
+};
+
+const stopApp = (app) => (app ? new Promise((resolve) => app.server.close(resolve)) : undefined);
+
+const createAdmin = () => User.create({
+  firstName: 'Ada',
+  lastName: 'Admin',
+  email: 'admin@example.com',
+  password: 'password123',
+  role: 'Admin'
+});
+
+const createCustomer = (createdBy, overrides = {}) => Customer.create({
+  firstName: 'Bola',
+  lastName: 'Borrower',
+  phoneNumber: '08000000001',
+  address: '1 Market Road, Lagos',
+  preferredLoanProduct: 'Business Loan',
+  idType: 'National ID',
+  idNumber: 'NIN-0001',
+  nextOfKin: { name: 'Chidi Borrower', relationship: 'Brother', phoneNumber: '08000000002' },
+  status: 'Active',
+  createdBy,
+  ...overrides
+});
+
+// ₦10,000 over 4 weeks at 10% flat, already disbursed
+const createLoan = async (customer, createdBy, overrides = {}) => {
+  const loan = new Loan({
+    customer: customer._id,
+    loanProduct: 'Business Loan',
+    principalAmount: 10000,
+    interestRate: 10,
+    interestAmount: 1000,
+    totalPayable: 11000,
+    tenure: 4,
+    tenureUnit: 'weeks',
+    installmentAmount: 2750,
+    startDate: new Date(),
+    status: 'Active',
+    createdBy,
+    ...overrides
+  });
+  loan.generateSchedule();
+  await loan.save();
+  return loan;
+};
+
+module.exports = {
+  startDatabase,
+  stopDatabase,
+  startApp,
+  stopApp,
+  createAdmin,
+  createCustomer,
+  createLoan
+};
@@ -0,0 +1,57 @@
+// test/loans.writeOff.test.js - A written-off loan no longer counts as outstanding
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const Group = require('../models/Group');
+const Loan = require('../models/Loan');
+const { groupExposure } = require('../utils/groupExposure');
+const {
+  startDatabase, stopDatabase, startApp, stopApp, createAdmin, createCustomer, createLoan
+} = require('./helpers');
+
+let replSet;
+let app;
+let group;
+let loan;
+
+before(async () => {
+  replSet = await startDatabase();
+
+  const admin = await createAdmin();
+  const customer = await createCustomer(admin._id);
+  group = await Group.create({
+    name: 'Market Women',
+    meetingDay: 'Monday',
+    meetingLocation: 'Town Hall',
+    members: [{ customer: customer._id, role: 'Leader' }],
+    createdBy: admin._id
+  });
+  loan = await createLoan(customer, admin._id, { group: group._id, status: 'Defaulted' });
+
+  app = await startApp({ '/loans': require('../routes/loans') }, admin);
+});
+
+after(async () => {
+  await stopApp(app);
+  await stopDatabase(replSet);
+});
+
+test('write-off clears the remaining balance and drops out of group exposure', async () => {
+  const exposed = await groupExposure(group);
+  assert.equal(exposed.groupOutstanding, 11000);
+
+  const result = await app.request('PUT', `/loans/${loan._id}/write-off`, { writeOffReason: 'Borrower relocated' });
+  assert.equal(result.status, 200, result.body.message);
+
+  const saved = await Loan.findById(loan._id);
+  assert.equal(saved.status, 'Written Off');
+  assert.equal(saved.writtenOffPrincipal, 10000);
+  assert.equal(saved.remainingBalance, 0);
+
+  const exposure = await groupExposure(group);
+  assert.equal(exposure.groupOutstanding, 0);
+  assert.equal(exposure.memberOutstanding, 0);
+  assert.equal(exposure.members[0].outstanding, 0);
+  // Still flagged: a written-off loan is a member in arrears
+  assert.equal(exposure.members[0].inArrears, true);
+});
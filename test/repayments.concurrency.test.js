@@ -0,0 +1,72 @@
+// test/repayments.concurrency.test.js - Concurrent repayments against one loan must all be counted
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const Loan = require('../models/Loan');
+const Repayment = require('../models/Repayment');
+const { accountBalances } = require('../utils/ledger');
+const { roundMoney } = require('../utils/loanSchedule');
+const { ACCOUNTS } = require('../config/chartOfAccounts');
+const {
+  startDatabase, stopDatabase, startApp, stopApp, createAdmin, createCustomer, createLoan
+} = require('./helpers');
+
+const PAYMENTS = [1000, 750, 1250, 500, 900, 1100, 600, 400];
+
+let replSet;
+let app;
+let loan;
+
+before(async () => {
+  replSet = await startDatabase();
+
+  const admin = await createAdmin();
+  const customer = await createCustomer(admin._id);
+  loan = await createLoan(customer, admin._id);
+
+  app = await startApp({ '/repayments': require('../routes/repayments') }, admin);
+});
+
+after(async () => {
+  await stopApp(app);
+  await stopDatabase(replSet);
+});
+
+// Every request is sent once: the server has to resolve the conflicts itself
+test('concurrent postings and approvals against one loan are all applied', async () => {
+  const expected = roundMoney(PAYMENTS.reduce((sum, amount) => sum + amount, 0));
+
+  const posted = await Promise.all(PAYMENTS.map((paymentAmount, index) => app.request(
+    'POST',
+    '/repayments',
+    { loan: loan._id, paymentAmount, paymentMethod: 'Cash' },
+    { 'Idempotency-Key': `concurrency-${index}` }
+  )));
+  posted.forEach((result) => assert.equal(result.status, 201, result.body.message));
+
+  const approved = await Promise.all(posted.map((result) => app.request('PUT', `/repayments/${result.body.data._id}/approve`)));
+  approved.forEach((result) => assert.equal(result.status, 200, result.body.message));
+
+  const saved = await Loan.findById(loan._id);
+  assert.equal(saved.totalPaid, expected);
+  assert.equal(saved.remainingBalance, roundMoney(saved.totalPayable - expected));
+  assert.equal(roundMoney(saved.interestPaid + saved.principalPaid + saved.penaltyPaid), expected);
+  assert.equal(roundMoney(saved.schedule.reduce((sum, installment) => sum + installment.amountPaid, 0)), expected);
+
+  // Each receipt's allocation adds up to its amount, and together they match the loan
+  const repayments = await Repayment.find({ loan: loan._id });
+  assert.equal(repayments.length, PAYMENTS.length);
+  repayments.forEach((repayment) => {
+    assert.equal(repayment.status, 'Approved');
+    assert.equal(roundMoney(repayment.interestPaid + repayment.principalPaid + repayment.penaltyPaid), repayment.paymentAmount);
+  });
+  const allocated = (field) => roundMoney(repayments.reduce((sum, repayment) => sum + repayment[field], 0));
+  assert.equal(allocated('interestPaid'), saved.interestPaid);
+  assert.equal(allocated('principalPaid'), saved.principalPaid);
+
+  // The ledger took in the same cash and split it the same way
+  const balances = new Map((await accountBalances({ loan: loan._id })).map((account) => [account.code, account]));
+  assert.equal(balances.get(ACCOUNTS.CASH).debit, expected);
+  assert.equal(balances.get(ACCOUNTS.LOANS_RECEIVABLE).credit, saved.principalPaid);
+  assert.equal(balances.get(ACCOUNTS.INTEREST_INCOME).credit, saved.interestPaid);
+});
@@ -0,0 +1,114 @@
+// utils/collectionSheet.js - What each group member should bring to a meeting
+const Customer = require('../models/Customer');
+const Loan = require('../models/Loan');
+const Repayment = require('../models/Repayment');
+const { roundMoney } = require('./loanSchedule');
+const { arrearsAmount } = require('./groupExposure');
+
+// Days until the next meeting; installments falling due before then are collected now
+const PERIOD_DAYS = { Daily: 1, Weekly: 7 };
+
+const startOfDay = (date) => {
+  const start = new Date(date);
+  start.setHours(0, 0, 0, 0);
+  return start;
+};
+
+const unpaid = (installment) => Math.max(0, installment.totalDue - installment.amountPaid);
+
+// One line per open loan of each active member; members without a repayable loan
+// get an empty line so the sheet doubles as the meeting register.
+// expectedAmount = installment due + arrears + unpaid penalties, capped at the
+// balance and less any receipts already recorded and awaiting approval.
+const buildCollectionSheet = async (group, meetingDate = new Date()) => {
+  const from = startOfDay(meetingDate);
+  const until = new Date(from);
+  until.setDate(until.getDate() + (PERIOD_DAYS[group.meetingFrequency] || 7));
+
+  const memberIds = group.activeMemberIds();
+  const customers = await Customer.find({ _id: { $in: memberIds } })
+    .select('customerId firstName lastName phoneNumber');
+  const loans = await Loan.find({ customer: { $in: memberIds }, status: { $in: Loan.REPAYABLE_STATUSES } })
+    .select('loanId loanProduct customer group groupLoanBatch status remainingBalance penaltyAmount penaltyPaid schedule')
+    .sort('disbursementDate');
+
+  const pending = await Repayment.aggregate([
+    { $match: { loan: { $in: loans.map((loan) => loan._id) }, status: 'Pending' } },
+    { $group: { _id: '$loan', total: { $sum: '$paymentAmount' } } }
+  ]);
+  const pendingByLoan = new Map(pending.map((item) => [String(item._id), item.total]));
+
+  const lines = [];
+  customers.forEach((customer) => {
+    const member = {
+      _id: customer._id,
+      customerId: customer.customerId,
+      name: `${customer.firstName} ${customer.lastName}`,
+      phoneNumber: customer.phoneNumber,
+      role: group.findMember(customer._id).role
+    };
+    const memberLoans = loans.filter((loan) => String(loan.customer) === String(customer._id));
+
+    if (memberLoans.length === 0) {
+      lines.push({ customer: member, loan: null, installmentDue: 0, arrears: 0, penaltyDue: 0, pendingReceipts: 0, expectedAmount: 0 });
+      return;
+    }
+
+    memberLoans.forEach((loan) => {
+      const dueNow = (loan.schedule || [])
+        .filter((installment) => installment.dueDate >= from && installment.dueDate < until && unpaid(installment) > 0);
+      const installmentDue = roundMoney(dueNow.reduce((sum, installment) => sum + unpaid(installment), 0));
+      const arrears = arrearsAmount(loan, from);
+      const penaltyDue = Math.max(0, roundMoney((loan.penaltyAmount || 0) - (loan.penaltyPaid || 0)));
+      const pendingReceipts = pendingByLoan.get(String(loan._id)) || 0;
+      const owed = Math.min(installmentDue + arrears + penaltyDue, loan.remainingBalance || 0);
+
+      lines.push({
+        customer: member,
+        loan: {
+          _id: loan._id,
+          loanId: loan.loanId,
+          loanProduct: loan.loanProduct,
+          status: loan.status,
+          groupLoanBatch: loan.groupLoanBatch,
+          isGroupLoan: Boolean(loan.group && String(loan.group) === String(group._id)),
+          remainingBalance: loan.remainingBalance
+        },
+        installment: dueNow.length > 0
+          ? { installmentNumber: dueNow[0].installmentNumber, dueDate: dueNow[0].dueDate }
+          : null,
+        installmentDue,
+        arrears,
+        penaltyDue,
+        pendingReceipts,
+        expectedAmount: Math.max(0, roundMoney(owed - pendingReceipts))
+      });
+    });
+  });
+
+  const total = (field) => roundMoney(lines.reduce((sum, line) => sum + line[field], 0));
+
+  return {
+    group: {
+      _id: group._id,
+      groupId: group.groupId,
+      name: group.name,
+      meetingDay: group.meetingDay,
+      meetingLocation: group.meetingLocation
+    },
+    meetingDate: from,
+    collectUntil: until,
+    lines,
+    totals: {
+      members: customers.length,
+      loans: loans.length,
+      installmentDue: total('installmentDue'),
+      arrears: total('arrears'),
+      penaltyDue: total('penaltyDue'),
+      pendingReceipts: total('pendingReceipts'),
+      expectedAmount: total('expectedAmount')
+    }
+  };
+};
+
+module.exports = { buildCollectionSheet };
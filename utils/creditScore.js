@@ -0,0 +1,174 @@
+// utils/creditScore.js - Behavioural credit score from internal repayment history
+const Customer = require('../models/Customer');
+const Loan = require('../models/Loan');
+const Repayment = require('../models/Repayment');
+const { daysBetween, daysPastDue } = require('./loanSchedule');
+const { fellowGroupMembers } = require('./groupMembers');
+
+// Points available per factor (total 100)
+const WEIGHTS = {
+  onTimeInstallments: 35,
+  daysPastDue: 25,
+  completedCycles: 15,
+  reversals: 10,
+  groupPerformance: 15
+};
+
+// Lowest score for each grade, best first
+const GRADES = [
+  { grade: 'A', minScore: 80 },
+  { grade: 'B', minScore: 65 },
+  { grade: 'C', minScore: 50 },
+  { grade: 'D', minScore: 35 },
+  { grade: 'E', minScore: 0 }
+];
+
+// Worst days past due -> share of the DPD points kept
+const DPD_BANDS = [
+  { maxDays: 0, share: 1, label: 'never late' },
+  { maxDays: 7, share: 0.8, label: 'up to 7 days late' },
+  { maxDays: 30, share: 0.5, label: '8-30 days late' },
+  { maxDays: 90, share: 0.2, label: '31-90 days late' },
+  { maxDays: Infinity, share: 0, label: 'over 90 days late' }
+];
+
+// Completed loans needed for full cycle points
+const FULL_CYCLE_CREDIT = 5;
+
+// Share of points given where there is no history to judge
+const NO_HISTORY_SHARE = 0.5;
+
+const LOSS_STATUSES = ['Defaulted', 'Written Off'];
+const ARREARS_STATUSES = ['Overdue', 'Defaulted', 'Written Off'];
+
+const endOfDay = (date) => {
+  const end = new Date(date);
+  end.setHours(23, 59, 59, 999);
+  return end;
+};
+
+const factor = (key, share, value, explanation) => ({
+  factor: key,
+  weight: WEIGHTS[key],
+  points: Math.round(WEIGHTS[key] * share * 10) / 10,
+  value,
+  explanation
+});
+
+// Installments that have fallen due, and how many were paid in full by their due date
+const onTimeInstallmentsFactor = (loans, asOf) => {
+  const due = loans.flatMap((loan) => (loan.schedule || []).filter((installment) => installment.dueDate <= asOf));
+  const onTime = due.filter((installment) => installment.paidAt && installment.paidAt <= endOfDay(installment.dueDate));
+
+  if (due.length === 0) {
+    return factor('onTimeInstallments', NO_HISTORY_SHARE, null, 'No installments have fallen due yet');
+  }
+
+  const ratio = onTime.length / due.length;
+  return factor('onTimeInstallments', ratio, Math.round(ratio * 100) / 100,
+    `${onTime.length} of ${due.length} due installments paid on time`);
+};
+
+// Worst lateness on any installment, past or present; defaults score zero
+const daysPastDueFactor = (loans, asOf) => {
+  if (loans.some((loan) => loan.defaultedAt || LOSS_STATUSES.includes(loan.status))) {
+    return factor('daysPastDue', 0, null, 'Customer has a defaulted or written-off loan');
+  }
+
+  const schedules = loans.filter((loan) => loan.schedule && loan.schedule.length > 0);
+  if (schedules.length === 0) {
+    return factor('daysPastDue', NO_HISTORY_SHARE, null, 'No repayment history yet');
+  }
+
+  const worst = Math.max(0, ...schedules.flatMap((loan) => [
+    daysPastDue(loan.schedule, asOf),
+    ...loan.schedule
+      .filter((installment) => installment.paidAt)
+      .map((installment) => daysBetween(endOfDay(installment.dueDate), installment.paidAt))
+  ]));
+
+  const band = DPD_BANDS.find((item) => worst <= item.maxDays);
+  return factor('daysPastDue', band.share, worst, `Worst lateness: ${worst} day(s) (${band.label})`);
+};
+
+const completedCyclesFactor = (loans) => {
+  const completed = loans.filter((loan) => loan.status === 'Completed').length;
+  const share = Math.min(completed, FULL_CYCLE_CREDIT) / FULL_CYCLE_CREDIT;
+
+  return factor('completedCycles', share, completed,
+    `${completed} loan(s) fully repaid (full credit at ${FULL_CYCLE_CREDIT})`);
+};
+
+// Reversed receipts usually mean bounced transfers or mis-posted cash
+const reversalsFactor = (reversals, receipts) => {
+  if (receipts === 0) {
+    return factor('reversals', NO_HISTORY_SHARE, 0, 'No repayments yet');
+  }
+
+  const share = Math.max(0, 1 - (reversals / 2));
+  return factor('reversals', share, reversals,
+    reversals === 0 ? 'No repayments reversed' : `${reversals} of ${receipts} repayment(s) reversed`);
+};
+
+const groupPerformanceFactor = async (customer) => {
+  const fellows = await fellowGroupMembers(customer);
+  if (!fellows || fellows.members.length === 0) {
+    return factor('groupPerformance', 1, null, 'Not in a group');
+  }
+  const { members } = fellows;
+
+  const inArrears = await Loan.distinct('customer', {
+    customer: { $in: members.map((member) => member._id) },
+    status: { $in: ARREARS_STATUSES }
+  });
+  const share = 1 - (inArrears.length / members.length);
+
+  return factor('groupPerformance', share, inArrears.length,
+    `${inArrears.length} of ${members.length} other group member(s) in arrears`);
+};
+
+const gradeFor = (score) => GRADES.find((item) => score >= item.minScore).grade;
+
+// Score a customer (0-100) with the contribution of each factor
+const computeCreditScore = async (customer, { asOf = new Date() } = {}) => {
+  const loans = await Loan.find({ customer: customer._id, disbursementDate: { $exists: true } })
+    .select('loanId status schedule defaultedAt');
+
+  const receipts = await Repayment.countDocuments({ customer: customer._id, status: 'Approved', isReversal: { $ne: true } });
+  const reversals = await Repayment.countDocuments({ customer: customer._id, isReversed: true });
+
+  const factors = [
+    onTimeInstallmentsFactor(loans, asOf),
+    daysPastDueFactor(loans, asOf),
+    completedCyclesFactor(loans),
+    reversalsFactor(reversals, receipts),
+    await groupPerformanceFactor(customer)
+  ];
+
+  const score = Math.round(factors.reduce((sum, item) => sum + item.points, 0));
+
+  return {
+    score,
+    grade: gradeFor(score),
+    factors,
+    computedAt: asOf
+  };
+};
+
+// Recompute and store a customer's score; returns it (null if the customer is gone)
+const refreshCreditScore = async (customerId, options = {}) => {
+  const customer = await Customer.findById(customerId).select('groupName');
+  if (!customer) return null;
+
+  const creditScore = await computeCreditScore(customer, options);
+  await Customer.updateOne({ _id: customer._id }, { $set: { creditScore } });
+
+  return creditScore;
+};
+
+module.exports = {
+  WEIGHTS,
+  GRADES,
+  computeCreditScore,
+  refreshCreditScore
+};
@@ -0,0 +1,113 @@
+// utils/customerMatching.js - Find existing customers that look like the same person
+const Customer = require('../models/Customer');
+
+// Fuzzy names at or above this similarity (0-1) count as a match when the DOB is the same
+const NAME_SIMILARITY_THRESHOLD = 0.8;
+const CONFIDENCE_RANK = { High: 2, Medium: 1 };
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Last 10 digits, so '+234 803 123 4567' and '08031234567' compare equal
+const phoneDigits = (phone) => String(phone || '').replace(/\D/g, '').slice(-10);
+
+const normaliseName = (name) => String(name || '').toLowerCase().replace(/[^a-z\s]/g, '').replace(/\s+/g, ' ').trim();
+
+// Edit distance between two strings
+const levenshtein = (a, b) => {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+};
+
+// Similarity of two full names (0-1), allowing first and last name to be swapped
+const nameSimilarity = (first, other) => {
+  const a = normaliseName(`${first.firstName} ${first.lastName}`);
+  const candidates = [
+    normaliseName(`${other.firstName} ${other.lastName}`),
+    normaliseName(`${other.lastName} ${other.firstName}`)
+  ];
+
+  return Math.max(...candidates.map((b) => {
+    const length = Math.max(a.length, b.length);
+    return length === 0 ? 0 : 1 - (levenshtein(a, b) / length);
+  }));
+};
+
+const sameDay = (a, b) => new Date(a).toISOString().slice(0, 10) === new Date(b).toISOString().slice(0, 10);
+
+// Likely duplicates of the given customer details, strongest first:
+// [{ customer, confidence: 'High' | 'Medium', reasons: [...] }]
+const findDuplicateCustomers = async (details, { excludeId } = {}) => {
+  const conditions = [];
+
+  if (details.idNumber) {
+    conditions.push({ idNumber: new RegExp(`^${escapeRegex(String(details.idNumber).trim())}$`, 'i') });
+  }
+
+  const digits = phoneDigits(details.phoneNumber);
+  if (digits.length >= 7) {
+    // Same digits, ignoring spaces, dashes and country/trunk prefixes
+    conditions.push({ phoneNumber: new RegExp(`${digits.split('').join('\\D*')}\\D*$`) });
+  }
+
+  if (details.dateOfBirth && !isNaN(new Date(details.dateOfBirth).getTime())) {
+    const day = new Date(details.dateOfBirth);
+    const start = new Date(Date.UTC(day.getUTCFullYear(), day.getUTCMonth(), day.getUTCDate()));
+    const end = new Date(start.getTime() + 24 * 60 * 60 * 1000);
+    conditions.push({ dateOfBirth: { $gte: start, $lt: end } });
+  }
+
+  if (conditions.length === 0) return [];
+
+  const query = { $or: conditions, status: { $ne: 'Merged' } };
+  if (excludeId) query._id = { $ne: excludeId };
+
+  const candidates = await Customer.find(query)
+    .select('customerId firstName lastName phoneNumber idType idNumber dateOfBirth status createdBy');
+
+  const matches = candidates.map((customer) => {
+    const reasons = [];
+    let confidence = null;
+
+    if (details.idNumber && String(customer.idNumber).trim().toLowerCase() === String(details.idNumber).trim().toLowerCase()) {
+      reasons.push(`Same ID number (${customer.idType} ${customer.idNumber})`);
+      confidence = 'High';
+    }
+
+    if (digits.length >= 7 && phoneDigits(customer.phoneNumber) === digits) {
+      reasons.push(`Same phone number (${customer.phoneNumber})`);
+      confidence = confidence || 'Medium';
+    }
+
+    if (details.dateOfBirth && customer.dateOfBirth && sameDay(customer.dateOfBirth, details.dateOfBirth)) {
+      const similarity = nameSimilarity(details, customer);
+
+      if (similarity >= NAME_SIMILARITY_THRESHOLD) {
+        reasons.push(`Similar name (${Math.round(similarity * 100)}% match) with the same date of birth`);
+        confidence = similarity === 1 ? 'High' : (confidence || 'Medium');
+      }
+    }
+
+    return { customer, confidence, reasons };
+  });
+
+  return matches
+    .filter((match) => match.reasons.length > 0)
+    .sort((a, b) => (CONFIDENCE_RANK[b.confidence] - CONFIDENCE_RANK[a.confidence]) || (b.reasons.length - a.reasons.length));
+};
+
+module.exports = {
+  findDuplicateCustomers,
+  nameSimilarity,
+  levenshtein,
+  phoneDigits
+};
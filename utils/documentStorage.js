@@ -0,0 +1,87 @@
+// utils/documentStorage.js - Where uploaded document files are kept
+// Every driver has save(key, buffer, contentType), read(key) -> readable stream,
+// and remove(key). Documents record the driver they were saved with.
+const fs = require('fs');
+const path = require('path');
+const { storageConfig } = require('../config/documents');
+
+const localStorage = ({ localDir }) => {
+  const root = path.resolve(localDir);
+  const fullPath = (key) => {
+    const file = path.resolve(root, key);
+    if (!file.startsWith(root + path.sep)) throw new Error('Invalid document key');
+    return file;
+  };
+
+  return {
+    name: 'local',
+    save: async (key, buffer) => {
+      const file = fullPath(key);
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      await fs.promises.writeFile(file, buffer, { flag: 'wx' });
+    },
+    read: async (key) => {
+      const file = fullPath(key);
+      await fs.promises.access(file);
+      return fs.createReadStream(file);
+    },
+    remove: async (key) => {
+      await fs.promises.rm(fullPath(key), { force: true });
+    }
+  };
+};
+
+// The AWS SDK is only needed (and only loaded) when S3 storage is configured
+const s3Storage = ({ s3: config }) => {
+  let sdk;
+  let client;
+  const connect = () => {
+    if (!client) {
+      try {
+        sdk = require('@aws-sdk/client-s3');
+      } catch (error) {
+        throw new Error('S3 document storage needs the @aws-sdk/client-s3 package installed');
+      }
+      if (!config.bucket) throw new Error('S3_BUCKET is required for S3 document storage');
+
+      client = new sdk.S3Client({
+        region: config.region,
+        endpoint: config.endpoint,
+        forcePathStyle: Boolean(config.endpoint),
+        credentials: config.accessKeyId
+          ? { accessKeyId: config.accessKeyId, secretAccessKey: config.secretAccessKey }
+          : undefined
+      });
+    }
+    return client;
+  };
+
+  return {
+    name: 's3',
+    save: async (key, buffer, contentType) => {
+      await connect().send(new sdk.PutObjectCommand({ Bucket: config.bucket, Key: key, Body: buffer, ContentType: contentType }));
+    },
+    read: async (key) => {
+      const result = await connect().send(new sdk.GetObjectCommand({ Bucket: config.bucket, Key: key }));
+      return result.Body;
+    },
+    remove: async (key) => {
+      await connect().send(new sdk.DeleteObjectCommand({ Bucket: config.bucket, Key: key }));
+    }
+  };
+};
+
+const DRIVERS = { local: localStorage, s3: s3Storage };
+const instances = new Map();
+
+// Storage driver by name (default: the configured one)
+const getStorage = (name = storageConfig().driver) => {
+  if (!DRIVERS[name]) throw new Error(`Unknown document storage: ${name}`);
+
+  if (!instances.has(name)) {
+    instances.set(name, DRIVERS[name](storageConfig()));
+  }
+  return instances.get(name);
+};
+
+module.exports = { getStorage };
@@ -0,0 +1,76 @@
+// utils/documents.js - Attach uploaded files to a customer or loan and serve them back
+const crypto = require('crypto');
+const { ALLOWED_FILE_TYPES } = require('../config/documents');
+const { getStorage } = require('./documentStorage');
+
+// Store an uploaded file (from middleware/upload) and add it to owner.documents.
+// With `replaces`, the new file becomes the next version of that document.
+// The owner is not saved here; use saveWithDocument so a failed save removes the file.
+const addDocument = async (owner, { file, documentType, notes, user, folder, basePath, replaces = null }) => {
+  const storage = getStorage();
+  const storageKey = `${folder}/${owner._id}/${crypto.randomUUID()}${ALLOWED_FILE_TYPES[file.mimetype].extension}`;
+
+  await storage.save(storageKey, file.buffer, file.mimetype);
+
+  owner.documents.push({
+    documentType: replaces ? replaces.documentType : documentType,
+    originalName: file.originalname,
+    mimeType: file.mimetype,
+    size: file.size,
+    checksum: crypto.createHash('sha256').update(file.buffer).digest('hex'),
+    storage: storage.name,
+    storageKey,
+    version: replaces ? (replaces.version || 1) + 1 : 1,
+    replaces: replaces ? replaces._id : undefined,
+    notes,
+    uploadedBy: user._id
+  });
+
+  const document = owner.documents[owner.documents.length - 1];
+  document.documentUrl = `${basePath}/${document._id}/download`;
+
+  if (replaces) {
+    replaces.isCurrent = false;
+    replaces.replacedBy = document._id;
+    replaces.replacedAt = Date.now();
+  }
+
+  return document;
+};
+
+const saveWithDocument = async (owner, document) => {
+  try {
+    await owner.save();
+  } catch (error) {
+    await getStorage(document.storage).remove(document.storageKey)
+      .catch((cleanupError) => console.error('Document cleanup failed:', cleanupError.message));
+    throw error;
+  }
+};
+
+// Current documents, or every version when includeHistory is set
+const listDocuments = (owner, includeHistory = false) => owner.documents
+  .filter((document) => includeHistory || document.isCurrent !== false);
+
+// Stream a stored document to the client
+const sendDocument = async (res, document) => {
+  const stream = await getStorage(document.storage).read(document.storageKey);
+  const filename = (document.originalName || `document${(ALLOWED_FILE_TYPES[document.mimeType] || {}).extension || ''}`)
+    .replace(/["\r\n]/g, '');
+
+  res.set({
+    'Content-Type': document.mimeType || 'application/octet-stream',
+    'Content-Disposition': `attachment; filename="${filename}"`
+  });
+  if (document.size) res.set('Content-Length', String(document.size));
+
+  stream.on('error', (error) => res.destroy(error));
+  stream.pipe(res);
+};
+
+module.exports = {
+  addDocument,
+  saveWithDocument,
+  listDocuments,
+  sendDocument
+};
@@ -0,0 +1,155 @@
+// utils/eligibility.js - Check a customer against a product's eligibility rules
+const Loan = require('../models/Loan');
+const { fellowGroupMembers } = require('./groupMembers');
+const { guarantorsInDefault } = require('./guarantors');
+const { CYCLE_FIELDS, cycleFromLoans, cycleLimitFor } = require('./loanCycle');
+
+// Loans that count towards a customer's concurrent limit
+const OPEN_STATUSES = ['Pending', 'Approved', 'Disbursed', 'Active', 'Overdue', 'Defaulted'];
+
+// Loans that show the customer is (or was left) in arrears
+const ARREARS_STATUSES = ['Overdue', 'Defaulted', 'Written Off'];
+
+// Each rule returns null when it passes, or a failure { message, ...details }
+const RULES = [
+  {
+    code: 'MAX_CONCURRENT_LOANS',
+    check: ({ rules, loans }) => {
+      const open = loans.filter((loan) => OPEN_STATUSES.includes(loan.status));
+      if (open.length < rules.maxConcurrentLoans) return null;
+
+      return {
+        message: `Customer already has ${open.length} open loan(s); the limit is ${rules.maxConcurrentLoans}`,
+        limit: rules.maxConcurrentLoans,
+        loans: open.map((loan) => ({ _id: loan._id, loanId: loan.loanId, status: loan.status }))
+      };
+    }
+  },
+  {
+    code: 'NO_ARREARS',
+    check: ({ rules, loans }) => {
+      if (!rules.blockOnArrears) return null;
+
+      const inArrears = loans.filter((loan) => ARREARS_STATUSES.includes(loan.status));
+      if (inArrears.length === 0) return null;
+
+      return {
+        message: `Customer has ${inArrears.length} loan(s) in arrears`,
+        loans: inArrears.map((loan) => ({ _id: loan._id, loanId: loan.loanId, status: loan.status }))
+      };
+    }
+  },
+  {
+    code: 'CYCLE_PRINCIPAL_LIMIT',
+    check: ({ rules, loans, principalAmount }) => {
+      const cycle = cycleFromLoans(loans);
+      const limit = cycleLimitFor(rules.cycleLimits, cycle.ladderStep);
+      if (limit === null || principalAmount <= limit) return null;
+
+      // Say why the customer has not moved up the ladder
+      const heldBack = cycle.ladderStep < cycle.currentCycle
+        ? ` (${cycle.currentCycle - cycle.ladderStep} earlier loan(s) were not repaid on time)`
+        : '';
+
+      return {
+        message: `Cycle ${cycle.currentCycle} loan is limited to ₦${limit.toLocaleString()} at ladder step ${cycle.ladderStep}${heldBack}`,
+        cycle: cycle.currentCycle,
+        ladderStep: cycle.ladderStep,
+        limit
+      };
+    }
+  },
+  {
+    code: 'GROUP_ARREARS',
+    check: async ({ rules, customer }) => {
+      if (!rules.blockOnGroupArrears) return null;
+
+      const fellows = await fellowGroupMembers(customer);
+      if (!fellows || fellows.members.length === 0) return null;
+      const { members } = fellows;
+
+      const inArrears = await Loan.find({
+        customer: { $in: members.map((member) => member._id) },
+        status: { $in: ARREARS_STATUSES }
+      }).select('loanId status customer');
+      if (inArrears.length === 0) return null;
+
+      const byId = new Map(members.map((member) => [String(member._id), member]));
+      return {
+        message: `${new Set(inArrears.map((loan) => String(loan.customer))).size} member(s) of group ${fellows.name} are in arrears`,
+        members: inArrears.map((loan) => {
+          const member = byId.get(String(loan.customer));
+          return {
+            customerId: member.customerId,
+            name: `${member.firstName} ${member.lastName}`,
+            loanId: loan.loanId,
+            status: loan.status
+          };
+        })
+      };
+    }
+  },
+  {
+    code: 'MIN_GUARANTORS',
+    check: ({ rules, guarantors }) => {
+      if (guarantors.length >= rules.minGuarantors) return null;
+
+      return {
+        message: `This product needs at least ${rules.minGuarantors} guarantor(s); ${guarantors.length} given`,
+        required: rules.minGuarantors
+      };
+    }
+  },
+  {
+    code: 'GUARANTOR_IN_DEFAULT',
+    check: async ({ guarantors }) => {
+      const inDefault = await guarantorsInDefault(guarantors);
+      if (inDefault.length === 0) return null;
+
+      return {
+        message: `Guarantor(s) in default: ${inDefault.map((guarantor) => guarantor.name).join(', ')}`,
+        guarantors: inDefault
+      };
+    }
+  }
+];
+
+// Run every rule for an application. excludeLoanIds leaves loans out of the
+// customer's history: the loan being approved, or one a top-up will pay off.
+// guarantors are the application's (resolved by utils/guarantors.js).
+// Returns { eligible, reasons }.
+const checkEligibility = async ({ customer, product, principalAmount, excludeLoanIds = [], guarantors = [] }) => {
+  const rules = (product && product.eligibility) || {};
+  const query = { customer: customer._id };
+  const excluded = excludeLoanIds.filter(Boolean);
+  if (excluded.length > 0) query._id = { $nin: excluded };
+
+  const loans = await Loan.find(query).select(CYCLE_FIELDS);
+  const context = {
+    customer,
+    rules: {
+      maxConcurrentLoans: rules.maxConcurrentLoans || 1,
+      blockOnArrears: rules.blockOnArrears !== false,
+      blockOnGroupArrears: rules.blockOnGroupArrears !== false,
+      cycleLimits: rules.cycleLimits || [],
+      minGuarantors: rules.minGuarantors || 0
+    },
+    loans,
+    principalAmount,
+    guarantors
+  };
+
+  const reasons = [];
+  for (const rule of RULES) {
+    const failure = await rule.check(context);
+    if (failure) reasons.push({ rule: rule.code, ...failure });
+  }
+
+  return { eligible: reasons.length === 0, reasons };
+};
+
+module.exports = {
+  checkEligibility,
+  OPEN_STATUSES,
+  ARREARS_STATUSES
+};
@@ -0,0 +1,68 @@
+// utils/groupExposure.js - Outstanding balances and arrears across a group's members
+const Loan = require('../models/Loan');
+const { roundMoney } = require('./loanSchedule');
+const { OPEN_STATUSES, ARREARS_STATUSES } = require('./eligibility');
+
+// Unpaid amount of installments already past due
+const arrearsAmount = (loan, asOf) => roundMoney((loan.schedule || [])
+  .filter((installment) => installment.dueDate < asOf)
+  .reduce((sum, installment) => sum + Math.max(0, installment.totalDue - installment.amountPaid), 0));
+
+// Exposure of a group (members populated or not): group-issued loans carry joint
+// liability; members' own loans are reported so arrears anywhere are visible
+const groupExposure = async (group, { asOf = new Date() } = {}) => {
+  const memberIds = group.activeMemberIds();
+
+  const loans = await Loan.find({
+    $or: [{ group: group._id }, { customer: { $in: memberIds } }],
+    status: { $in: [...OPEN_STATUSES, 'Written Off'] }
+  }).select('loanId customer group groupLoanBatch status principalAmount remainingBalance schedule');
+
+  const byMember = new Map(memberIds.map((id) => [String(id), {
+    customer: id,
+    openLoans: 0,
+    outstanding: 0,
+    arrears: 0,
+    inArrears: false
+  }]));
+
+  const totals = {
+    groupLoans: 0,
+    groupOutstanding: 0,
+    groupArrears: 0,
+    memberOutstanding: 0,
+    memberArrears: 0
+  };
+
+  loans.forEach((loan) => {
+    const arrears = arrearsAmount(loan, asOf);
+    const isGroupLoan = loan.group && String(loan.group) === String(group._id);
+
+    if (isGroupLoan) {
+      totals.groupLoans++;
+      totals.groupOutstanding = roundMoney(totals.groupOutstanding + loan.remainingBalance);
+      totals.groupArrears = roundMoney(totals.groupArrears + arrears);
+    }
+    totals.memberOutstanding = roundMoney(totals.memberOutstanding + loan.remainingBalance);
+    totals.memberArrears = roundMoney(totals.memberArrears + arrears);
+
+    const member = byMember.get(String(loan.customer));
+    if (member) {
+      member.openLoans++;
+      member.outstanding = roundMoney(member.outstanding + loan.remainingBalance);
+      member.arrears = roundMoney(member.arrears + arrears);
+      member.inArrears = member.inArrears || arrears > 0 || ARREARS_STATUSES.includes(loan.status);
+    }
+  });
+
+  const members = [...byMember.values()];
+
+  return {
+    asOf,
+    ...totals,
+    membersInArrears: members.filter((member) => member.inArrears).length,
+    members
+  };
+};
+
+module.exports = { groupExposure, arrearsAmount };
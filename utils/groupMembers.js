@@ -0,0 +1,34 @@
+// utils/groupMembers.js - Find the other members of a customer's group
+const Customer = require('../models/Customer');
+const Group = require('../models/Group');
+
+const MEMBER_FIELDS = 'customerId firstName lastName';
+
+// Active group a customer is an active member of, or null
+const findCustomerGroup = (customerId) => Group.findOne({
+  status: 'Active',
+  members: { $elemMatch: { customer: customerId, isActive: true } }
+});
+
+// The customer's group as { name, group, members } with the other members, or null.
+// Customers registered before groups existed fall back to matching on groupName.
+const fellowGroupMembers = async (customer) => {
+  const group = await findCustomerGroup(customer._id);
+
+  if (group) {
+    const memberIds = group.activeMemberIds().filter((id) => String(id) !== String(customer._id));
+    const members = await Customer.find({ _id: { $in: memberIds } }).select(MEMBER_FIELDS);
+    return { name: group.name, group, members };
+  }
+
+  if (!customer.groupName) return null;
+
+  const members = await Customer.find({
+    _id: { $ne: customer._id },
+    groupName: customer.groupName,
+    status: { $ne: 'Merged' }
+  }).select(MEMBER_FIELDS);
+  return { name: customer.groupName, group: null, members };
+};
+
+module.exports = { findCustomerGroup, fellowGroupMembers };
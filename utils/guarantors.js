@@ -0,0 +1,152 @@
+// utils/guarantors.js - Resolve loan guarantors and work out what each one backs
+// A guarantor is identified by ID number across loans, whether they were named as
+// an existing customer or as an external person.
+const Customer = require('../models/Customer');
+const Loan = require('../models/Loan');
+const { roundMoney } = require('./loanSchedule');
+
+// Loans a guarantor is still answerable for
+const BACKED_STATUSES = ['Pending', 'Approved', 'Disbursed', 'Active', 'Overdue', 'Defaulted'];
+
+// Loans that put their borrower in default
+const DEFAULT_STATUSES = ['Defaulted', 'Written Off'];
+
+const EXTERNAL_FIELDS = ['name', 'idType', 'idNumber', 'phoneNumber', 'relationship', 'address'];
+
+// Check guarantors from a request and copy in details for existing customers.
+// Returns { guarantors } or { error }.
+const resolveGuarantors = async (input, borrower) => {
+  if (input === undefined || input === null) return { guarantors: [] };
+  if (!Array.isArray(input)) return { error: 'guarantors must be a list' };
+
+  const guarantors = [];
+  for (const [index, entry] of input.entries()) {
+    const label = `Guarantor ${index + 1}`;
+    const guaranteedAmount = Number(entry.guaranteedAmount);
+    let guarantor;
+
+    if (!(guaranteedAmount > 0)) {
+      return { error: `${label}: guaranteedAmount is required` };
+    }
+
+    if (entry.customer) {
+      const customer = await Customer.findById(entry.customer)
+        .select('firstName lastName idType idNumber phoneNumber address status');
+      if (!customer || customer.status === 'Merged') {
+        return { error: `${label}: customer not found` };
+      }
+
+      guarantor = {
+        customer: customer._id,
+        name: `${customer.firstName} ${customer.lastName}`,
+        idType: customer.idType,
+        idNumber: customer.idNumber,
+        phoneNumber: customer.phoneNumber,
+        address: customer.address,
+        relationship: entry.relationship
+      };
+    } else {
+      if (!entry.name || !entry.idNumber || !entry.phoneNumber) {
+        return { error: `${label}: name, idNumber and phoneNumber are required for a guarantor who is not a customer` };
+      }
+
+      guarantor = {};
+      EXTERNAL_FIELDS.forEach((field) => {
+        if (entry[field] !== undefined) guarantor[field] = entry[field];
+      });
+    }
+
+    guarantor.idNumber = String(guarantor.idNumber).trim();
+    guarantor.guaranteedAmount = guaranteedAmount;
+
+    if (String(guarantor.customer) === String(borrower._id) || guarantor.idNumber === String(borrower.idNumber).trim()) {
+      return { error: `${label}: a borrower cannot guarantee their own loan` };
+    }
+
+    if (guarantors.some((item) => item.idNumber === guarantor.idNumber)) {
+      return { error: `${label}: ID number ${guarantor.idNumber} is already listed as a guarantor` };
+    }
+
+    guarantors.push(guarantor);
+  }
+
+  return { guarantors };
+};
+
+// Guarantors who are themselves borrowers on a defaulted or written-off loan
+// (matched by customer reference or ID number)
+const guarantorsInDefault = async (guarantors) => {
+  if (guarantors.length === 0) return [];
+
+  const customers = await Customer.find({
+    $or: [
+      { _id: { $in: guarantors.map((guarantor) => guarantor.customer).filter(Boolean) } },
+      { idNumber: { $in: guarantors.map((guarantor) => guarantor.idNumber) } }
+    ]
+  }).select('idNumber');
+  const defaulted = await Loan.find({
+    customer: { $in: customers.map((customer) => customer._id) },
+    status: { $in: DEFAULT_STATUSES }
+  }).select('loanId status customer');
+
+  return guarantors.flatMap((guarantor) => {
+    const ids = customers
+      .filter((customer) => String(customer._id) === String(guarantor.customer) || customer.idNumber === guarantor.idNumber)
+      .map((customer) => String(customer._id));
+    const loans = defaulted.filter((loan) => ids.includes(String(loan.customer)));
+
+    return loans.length === 0 ? [] : [{
+      name: guarantor.name,
+      idNumber: guarantor.idNumber,
+      loans: loans.map((loan) => ({ _id: loan._id, loanId: loan.loanId, status: loan.status }))
+    }];
+  });
+};
+
+// Everything a guarantor currently backs: amount guaranteed on each open loan and
+// the part still at risk (the guarantee, capped at the loan's remaining balance)
+const guarantorExposure = async (guarantor) => {
+  const loans = await Loan.find({ 'guarantors.idNumber': guarantor.idNumber, status: { $in: BACKED_STATUSES } })
+    .select('loanId customer status remainingBalance guarantors')
+    .populate('customer', 'customerId firstName lastName');
+
+  const backed = loans.map((loan) => {
+    const entry = loan.guarantors.find((item) => item.idNumber === guarantor.idNumber);
+    return {
+      _id: loan._id,
+      loanId: loan.loanId,
+      borrower: loan.customer,
+      status: loan.status,
+      guaranteedAmount: entry.guaranteedAmount,
+      atRisk: roundMoney(Math.min(entry.guaranteedAmount, loan.remainingBalance || 0))
+    };
+  });
+
+  return {
+    loans: backed.length,
+    totalGuaranteed: roundMoney(backed.reduce((sum, loan) => sum + loan.guaranteedAmount, 0)),
+    totalAtRisk: roundMoney(backed.reduce((sum, loan) => sum + loan.atRisk, 0)),
+    loansInDefault: backed.filter((loan) => loan.status === 'Defaulted').length,
+    backed
+  };
+};
+
+// A loan's guarantors, each with their exposure across all loans they back
+const guarantorsWithExposure = async (loan) => Promise.all((loan.guarantors || []).map(async (guarantor) => ({
+  ...guarantor.toObject(),
+  exposure: await guarantorExposure(guarantor)
+})));
+
+// Guarantors to carry over to a loan that replaces another (drops subdocument ids)
+const copyGuarantors = (loan) => (loan.guarantors || []).map((guarantor) => {
+  const { _id, ...details } = guarantor.toObject();
+  return details;
+});
+
+module.exports = {
+  resolveGuarantors,
+  guarantorsInDefault,
+  guarantorExposure,
+  guarantorsWithExposure,
+  copyGuarantors
+};
@@ -0,0 +1,52 @@
+// utils/identifiers.js - Generate sequential document IDs from atomic counters
+const mongoose = require('mongoose');
+const Counter = require('../models/Counter');
+const { ID_SCOPES, ID_FORMATS } = require('../config/identifiers');
+
+// Short code for a branch name: 'Lagos Island' -> 'LAG', missing -> 'HQ'
+const branchCode = (branch) => {
+  const letters = String(branch || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+  return letters.slice(0, 3) || 'HQ';
+};
+
+// Next ID of a type ('customer', 'loan', 'repayment', 'staff', 'group', 'collection', 'journal').
+// For branch scopes pass the branch, or the user whose branch applies.
+const nextId = async (type, { branch, user, date = new Date(), session = null } = {}) => {
+  const format = ID_FORMATS[type];
+  if (!format) throw new Error(`Unknown ID type: ${type}`);
+
+  const scope = ID_SCOPES.includes(format.scope) ? format.scope : 'global';
+  const parts = [format.prefix];
+
+  if (scope.startsWith('branch')) {
+    if (branch === undefined && user) {
+      // Looked up by name: models/User itself uses this module
+      const owner = await mongoose.model('User').findById(user).select('branch').session(session);
+      branch = owner && owner.branch;
+    }
+    parts.push(branchCode(branch));
+  }
+  if (scope.endsWith('year')) {
+    parts.push(String(new Date(date).getFullYear()));
+  }
+
+  const key = parts.join('-');
+  const number = String(await Counter.next(key, session)).padStart(format.width, '0');
+
+  return scope === 'global' ? `${format.prefix}${number}` : `${key}-${number}`;
+};
+
+// Counter key and sequence number behind an existing ID, or null if it does not match
+const parseId = (type, id) => {
+  const { prefix } = ID_FORMATS[type];
+  const match = new RegExp(`^(${prefix}(?:-[A-Z0-9]+)*?)-?(\\d+)$`).exec(id || '');
+  if (!match) return null;
+
+  return { key: match[1], seq: parseInt(match[2], 10) };
+};
+
+module.exports = {
+  nextId,
+  parseId,
+  branchCode
+};
@@ -0,0 +1,43 @@
+// utils/kyc.js - Check a customer against the KYC checklist for their type and product
+const { KYC_ITEMS, CUSTOMER_TYPE_REQUIREMENTS } = require('../config/kyc');
+
+const filled = (value) => value !== undefined && value !== null && String(value).trim() !== '';
+
+const satisfies = (customer, item) => {
+  if (item.document) {
+    return (customer.documents || [])
+      .some((document) => document.documentType === item.document && document.isCurrent !== false);
+  }
+  return item.fields.every((field) => filled(customer.get(field)));
+};
+
+// Checklist for a customer; product is their preferred loan product (optional).
+// Returns { complete, items: [{ code, label, source, satisfied }], missing: [code] }.
+const kycChecklist = (customer, product = null) => {
+  const required = (CUSTOMER_TYPE_REQUIREMENTS[customer.customerType] || [])
+    .map((code) => ({ code, source: customer.customerType }));
+
+  ((product && product.kycRequirements) || [])
+    .filter((requirement) => requirement.customerTypes.length === 0 || requirement.customerTypes.includes(customer.customerType))
+    .forEach((requirement) => {
+      if (!required.some((item) => item.code === requirement.item)) {
+        required.push({ code: requirement.item, source: product.name });
+      }
+    });
+
+  const items = required.map(({ code, source }) => ({
+    code,
+    label: KYC_ITEMS[code].label,
+    source,
+    satisfied: satisfies(customer, KYC_ITEMS[code])
+  }));
+  const missing = items.filter((item) => !item.satisfied).map((item) => item.code);
+
+  return {
+    complete: missing.length === 0,
+    items,
+    missing
+  };
+};
+
+module.exports = { kycChecklist };
@@ -0,0 +1,178 @@
+// utils/ledger.js - Post balanced journal entries for loan activity
+const mongoose = require('mongoose');
+const JournalEntry = require('../models/JournalEntry');
+const { ACCOUNTS, chartOfAccounts, cashAccountFor } = require('../config/chartOfAccounts');
+const { roundMoney } = require('./loanSchedule');
+
+const debit = (account, amount) => ({ account, debit: roundMoney(amount), credit: 0 });
+const credit = (account, amount) => ({ account, debit: 0, credit: roundMoney(amount) });
+
+// Post an entry, dropping zero lines; returns null when there is nothing to post.
+// Entries join the session (transaction) the loan was loaded in, if any.
+const postEntry = async (loan, { lines, ...entry }) => {
+  const postable = lines.filter((line) => line.debit > 0 || line.credit > 0);
+  if (postable.length === 0) return null;
+
+  const [posted] = await JournalEntry.create([{ ...entry, lines: postable }], { session: loan.$session() });
+  return posted;
+};
+
+// Disbursement: principal becomes a receivable; cash paid out net of upfront fees
+// and of any old loan settled from the proceeds (top-up / refinance)
+const postDisbursement = (loan, postedBy) => postEntry(loan, {
+  entryType: 'Disbursement',
+  entryDate: loan.disbursementDate,
+  description: `Disbursement of ${loan.loanId}`,
+  loan: loan._id,
+  customer: loan.customer._id || loan.customer,
+  postedBy,
+  lines: [
+    debit(ACCOUNTS.LOANS_RECEIVABLE, loan.principalAmount),
+    credit(cashAccountFor(loan.disbursementMethod), loan.principalAmount - (loan.totalFees || 0) - (loan.settlementAmount || 0)),
+    credit(ACCOUNTS.FEE_INCOME, loan.totalFees || 0),
+    credit(ACCOUNTS.REFINANCE_CLEARING, loan.settlementAmount || 0)
+  ]
+});
+
+// Repayment: cash in, split across principal, interest income and penalties
+const postRepayment = (repayment, loan, postedBy) => postEntry(loan, {
+  entryType: 'Repayment',
+  entryDate: repayment.paymentDate,
+  description: `Repayment ${repayment.receiptId} on ${loan.loanId}`,
+  loan: loan._id,
+  customer: repayment.customer._id || repayment.customer,
+  repayment: repayment._id,
+  postedBy,
+  lines: [
+    debit(cashAccountFor(repayment.paymentMethod), repayment.paymentAmount),
+    credit(ACCOUNTS.LOANS_RECEIVABLE, repayment.principalPaid),
+    credit(ACCOUNTS.INTEREST_INCOME, repayment.interestPaid),
+    credit(ACCOUNTS.PENALTY_RECEIVABLE, repayment.penaltyPaid)
+  ]
+});
+
+// Reversal: mirror image of the original receipt's posting
+const postRepaymentReversal = (contra, original, loan, postedBy) => postEntry(loan, {
+  entryType: 'Repayment Reversal',
+  description: `Reversal of ${original.receiptId} on ${loan.loanId} (${contra.receiptId})`,
+  loan: loan._id,
+  customer: original.customer._id || original.customer,
+  repayment: contra._id,
+  postedBy,
+  lines: [
+    credit(cashAccountFor(original.paymentMethod), original.paymentAmount),
+    debit(ACCOUNTS.LOANS_RECEIVABLE, original.principalPaid),
+    debit(ACCOUNTS.INTEREST_INCOME, original.interestPaid),
+    debit(ACCOUNTS.PENALTY_RECEIVABLE, original.penaltyPaid)
+  ]
+});
+
+// Re-allocation of an already posted receipt (e.g. after an earlier receipt is reversed).
+// Cash is unchanged; only the split between principal, interest and penalty moves.
+const postAllocationAdjustment = async (repayment, before, loan, postedBy) => {
+  const posted = await JournalEntry.exists({ repayment: repayment._id, entryType: 'Repayment' })
+    .session(loan.$session());
+  if (!posted) return null;
+
+  const components = [
+    [ACCOUNTS.LOANS_RECEIVABLE, repayment.principalPaid - before.principalPaid],
+    [ACCOUNTS.INTEREST_INCOME, repayment.interestPaid - before.interestPaid],
+    [ACCOUNTS.PENALTY_RECEIVABLE, repayment.penaltyPaid - before.penaltyPaid]
+  ];
+
+  return postEntry(loan, {
+    entryType: 'Allocation Adjustment',
+    description: `Re-allocation of ${repayment.receiptId} on ${loan.loanId}`,
+    loan: loan._id,
+    customer: repayment.customer._id || repayment.customer,
+    repayment: repayment._id,
+    postedBy,
+    lines: components.map(([account, delta]) => (delta > 0 ? credit(account, delta) : debit(account, -delta)))
+  });
+};
+
+// Penalty accrual: income recognised when charged
+const postPenalty = (penalty, loan) => postEntry(loan, {
+  entryType: 'Penalty',
+  entryDate: penalty.accrualDate,
+  description: `Late fee on ${loan.loanId} (${penalty.periodKey})`,
+  loan: loan._id,
+  customer: penalty.customer,
+  penalty: penalty._id,
+  lines: [
+    debit(ACCOUNTS.PENALTY_RECEIVABLE, penalty.amount),
+    credit(ACCOUNTS.PENALTY_INCOME, penalty.amount)
+  ]
+});
+
+// Penalty waiver: reverse the income that will not be collected
+const postPenaltyWaiver = (penalty, amount, loan, postedBy) => postEntry(loan, {
+  entryType: 'Penalty Waiver',
+  description: `Penalty waived on ${loan.loanId}: ${penalty.waiverReason}`,
+  loan: loan._id,
+  customer: penalty.customer,
+  penalty: penalty._id,
+  postedBy,
+  lines: [
+    debit(ACCOUNTS.PENALTY_INCOME, amount),
+    credit(ACCOUNTS.PENALTY_RECEIVABLE, amount)
+  ]
+});
+
+// Write-off: remove outstanding principal and penalties from the books
+const postWriteOff = (loan, { principal, penalty }, postedBy) => postEntry(loan, {
+  entryType: 'Write-off',
+  description: `Write-off of ${loan.loanId}: ${loan.writeOffReason}`,
+  loan: loan._id,
+  customer: loan.customer._id || loan.customer,
+  postedBy,
+  lines: [
+    debit(ACCOUNTS.WRITE_OFF_EXPENSE, principal + penalty),
+    credit(ACCOUNTS.LOANS_RECEIVABLE, principal),
+    credit(ACCOUNTS.PENALTY_RECEIVABLE, penalty)
+  ]
+});
+
+// Debit/credit totals per account, optionally up to a date and for one loan
+const accountBalances = async ({ asOf, loan } = {}) => {
+  const match = {};
+  if (asOf) match.entryDate = { $lte: asOf };
+  if (loan) match.loan = new mongoose.Types.ObjectId(String(loan));
+
+  const totals = await JournalEntry.aggregate([
+    { $match: match },
+    { $unwind: '$lines' },
+    {
+      $group: {
+        _id: '$lines.account',
+        debit: { $sum: '$lines.debit' },
+        credit: { $sum: '$lines.credit' }
+      }
+    }
+  ]);
+  const byAccount = new Map(totals.map((item) => [item._id, item]));
+
+  return chartOfAccounts.map((account) => {
+    const item = byAccount.get(account.code) || { debit: 0, credit: 0 };
+    const debits = roundMoney(item.debit);
+    const credits = roundMoney(item.credit);
+
+    return {
+      ...account,
+      debit: debits,
+      credit: credits,
+      balance: account.normalBalance === 'debit' ? roundMoney(debits - credits) : roundMoney(credits - debits)
+    };
+  });
+};
+
+module.exports = {
+  postDisbursement,
+  postRepayment,
+  postRepaymentReversal,
+  postAllocationAdjustment,
+  postPenalty,
+  postPenaltyWaiver,
+  postWriteOff,
+  accountBalances
+};
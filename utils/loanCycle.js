@@ -0,0 +1,86 @@
+// utils/loanCycle.js - Loan cycle progression for repeat borrowers
+const Loan = require('../models/Loan');
+
+// Loan fields needed to work out a customer's cycle history
+const CYCLE_FIELDS = 'loanId loanCycle status schedule statusHistory completedAt endDate disbursementDate applicationDate createdAt';
+
+const endOfDay = (date) => {
+  const end = new Date(date);
+  end.setHours(23, 59, 59, 999);
+  return end;
+};
+
+const loanDate = (loan) => loan.disbursementDate || loan.applicationDate || loan.createdAt;
+
+// A completed loan was repaid on time if it never went Overdue and every
+// installment was paid by the end of its due date
+const repaidOnTime = (loan) => {
+  if (loan.status !== 'Completed') return false;
+  if ((loan.statusHistory || []).some((change) => change.to === 'Overdue' || change.to === 'Defaulted')) return false;
+
+  if (loan.schedule && loan.schedule.length > 0) {
+    return loan.schedule.every((installment) => installment.paidAt && installment.paidAt <= endOfDay(installment.dueDate));
+  }
+  return !loan.endDate || !loan.completedAt || loan.completedAt <= endOfDay(loan.endDate);
+};
+
+// Cycle position from a customer's loans:
+// - currentCycle: cycle number of the customer's next loan (completed loans + 1)
+// - ladderStep: step of the product ladder they qualify for; a loan repaid late
+//   does not move them up, so this is on-time completed loans + 1
+const cycleFromLoans = (loans) => {
+  const completed = loans
+    .filter((loan) => loan.status === 'Completed')
+    .sort((a, b) => loanDate(a) - loanDate(b));
+  const onTime = completed.filter(repaidOnTime);
+  const last = completed[completed.length - 1];
+
+  return {
+    currentCycle: completed.length + 1,
+    completedLoans: completed.length,
+    onTimeLoans: onTime.length,
+    ladderStep: onTime.length + 1,
+    lastLoan: last
+      ? {
+        _id: last._id,
+        loanId: last.loanId,
+        loanCycle: last.loanCycle,
+        completedAt: last.completedAt,
+        repaidOnTime: repaidOnTime(last)
+      }
+      : null
+  };
+};
+
+// Load a customer's loans (optionally leaving one out) and work out their cycle
+const customerCycle = async (customerId, { excludeLoanId } = {}) => {
+  const query = { customer: customerId };
+  if (excludeLoanId) query._id = { $ne: excludeLoanId };
+
+  const loans = await Loan.find(query).select(CYCLE_FIELDS);
+  return cycleFromLoans(loans);
+};
+
+// Ladder cap for a step: the limit of the highest step reached, or null for no cap
+const cycleLimitFor = (cycleLimits, step) => {
+  const steps = (cycleLimits || [])
+    .filter((limit) => limit.cycle <= step)
+    .sort((a, b) => b.cycle - a.cycle);
+  return steps.length > 0 ? steps[0].maxPrincipal : null;
+};
+
+// Largest principal a customer at this cycle position can borrow on a product (null = no cap)
+const nextEligibleAmount = (product, cycle) => {
+  const ladderLimit = cycleLimitFor(product.eligibility && product.eligibility.cycleLimits, cycle.ladderStep);
+  const caps = [ladderLimit, product.maxPrincipal].filter((cap) => cap !== null && cap !== undefined);
+  return caps.length > 0 ? Math.min(...caps) : null;
+};
+
+module.exports = {
+  CYCLE_FIELDS,
+  repaidOnTime,
+  cycleFromLoans,
+  customerCycle,
+  cycleLimitFor,
+  nextEligibleAmount
+};
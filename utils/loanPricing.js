@@ -0,0 +1,121 @@
+// utils/loanPricing.js - Server-side loan pricing from product rules
+const LoanProduct = require('../models/LoanProduct');
+const { roundMoney, buildSchedule } = require('./loanSchedule');
+
+// Repayment periods in a year for each tenure unit
+const PERIODS_PER_YEAR = {
+  days: 365,
+  weeks: 52,
+  months: 12
+};
+
+// Per-period internal rate of return: the rate at which the installments
+// discount back to the amount actually received (solved by bisection)
+const periodRate = (amountReceived, installments) => {
+  const presentValue = (rate) => installments.reduce(
+    (sum, amount, index) => sum + (amount / Math.pow(1 + rate, index + 1)),
+    0
+  );
+
+  if (amountReceived <= 0 || installments.length === 0) return 0;
+
+  let low = 0;
+  let high = 1;
+  while (presentValue(high) > amountReceived && high < 1e6) high *= 2;
+
+  for (let i = 0; i < 200; i++) {
+    const mid = (low + high) / 2;
+    if (presentValue(mid) > amountReceived) {
+      low = mid;
+    } else {
+      high = mid;
+    }
+  }
+
+  return (low + high) / 2;
+};
+
+// Annualised cost of credit for disclosure, as percentages.
+// annualPercentageRate is the nominal rate (period rate x periods per year);
+// effectiveAnnualRate compounds it, and is the figure used on customer statements.
+const disclosureRates = ({ amountReceived, installments, tenureUnit }) => {
+  const rate = periodRate(amountReceived, installments);
+  const periods = PERIODS_PER_YEAR[tenureUnit] || 12;
+
+  return {
+    annualPercentageRate: roundMoney(rate * periods * 100),
+    effectiveAnnualRate: roundMoney((Math.pow(1 + rate, periods) - 1) * 100)
+  };
+};
+
+// Price a loan from a product (or a product terms snapshot)
+// Returns every calculated figure stored on the loan plus a schedule preview.
+const priceLoan = (product, { principalAmount, tenure, startDate = new Date() }) => {
+  const principal = roundMoney(principalAmount);
+  const tenureUnit = LoanProduct.FREQUENCY_TENURE_UNITS[product.repaymentFrequency];
+  const interestRate = product.interestRate;
+  const interestMethod = product.interestMethod || 'flat';
+
+  // Flat rate is charged once on the original principal; reducing-balance
+  // interest comes from the schedule (per-period rate on the outstanding balance)
+  const flatInterest = roundMoney(principal * (interestRate / 100));
+
+  const schedule = buildSchedule({
+    principalAmount: principal,
+    interestAmount: flatInterest,
+    interestRate,
+    interestMethod,
+    tenure,
+    tenureUnit,
+    startDate
+  });
+
+  const interestAmount = interestMethod === 'flat'
+    ? flatInterest
+    : roundMoney(schedule.reduce((sum, installment) => sum + installment.interestDue, 0));
+  const totalPayable = roundMoney(principal + interestAmount);
+
+  const fees = (product.fees || []).map((fee) => ({
+    name: fee.name,
+    amount: fee.feeType === 'percentage' ? roundMoney(principal * (fee.amount / 100)) : roundMoney(fee.amount)
+  }));
+  const totalFees = roundMoney(fees.reduce((sum, fee) => sum + fee.amount, 0));
+  const netDisbursement = roundMoney(principal - totalFees);
+
+  return {
+    loanProduct: product.name,
+    principalAmount: principal,
+    tenure,
+    tenureUnit,
+    interestRate,
+    interestMethod,
+    interestAmount,
+    totalPayable,
+    installmentAmount: schedule[0].totalDue,
+    fees,
+    totalFees,
+    netDisbursement,
+    ...disclosureRates({
+      amountReceived: netDisbursement,
+      installments: schedule.map((installment) => installment.totalDue),
+      tenureUnit
+    }),
+    schedule
+  };
+};
+
+// Loan fields taken from server-side pricing
+const pricedFields = (pricing) => ({
+  interestRate: pricing.interestRate,
+  interestMethod: pricing.interestMethod,
+  annualPercentageRate: pricing.annualPercentageRate,
+  effectiveAnnualRate: pricing.effectiveAnnualRate,
+  interestAmount: pricing.interestAmount,
+  totalPayable: pricing.totalPayable,
+  tenureUnit: pricing.tenureUnit,
+  installmentAmount: pricing.installmentAmount,
+  fees: pricing.fees,
+  totalFees: pricing.totalFees
+});
+
+module.exports = { priceLoan, disclosureRates, pricedFields };
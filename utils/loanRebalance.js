@@ -0,0 +1,78 @@
+// utils/loanRebalance.js - Rebuild a loan's balances from its approved repayments
+const Repayment = require('../models/Repayment');
+const Penalty = require('../models/Penalty');
+const { postAllocationAdjustment } = require('./ledger');
+
+// Repayments that count towards a loan: approved, not reversed, and not contra entries
+const effectiveRepaymentsQuery = (loanId) => ({
+  loan: loanId,
+  status: 'Approved',
+  isReversal: { $ne: true },
+  isReversed: { $ne: true }
+});
+
+// Reset the loan and replay its effective repayments in payment order,
+// updating each receipt's allocation. The replay records no status changes;
+// only the net change is recorded once it is done (completed, reopened, or
+// moved between Active and Overdue). Posts ledger adjustments for receipts
+// whose split changed. The loan is saved; returns the replayed repayments. Runs in the
+// session the loan was loaded in, if any.
+const rebalanceLoan = async (loan, { reason = 'Loan rebalanced', postedBy } = {}) => {
+  const session = loan.$session();
+
+  // Build a schedule for loans disbursed before schedules existed
+  if (loan.startDate && (!loan.schedule || loan.schedule.length === 0)) {
+    loan.generateSchedule();
+  }
+
+  loan.resetPayments();
+  await Penalty.resetPayments(loan._id, session);
+
+  const repayments = await Repayment.find(effectiveRepaymentsQuery(loan._id))
+    .sort('paymentDate createdAt')
+    .session(session);
+
+  for (const repayment of repayments) {
+    const before = {
+      penaltyPaid: repayment.penaltyPaid || 0,
+      interestPaid: repayment.interestPaid || 0,
+      principalPaid: repayment.principalPaid || 0
+    };
+
+    const allocation = loan.recordPayment(repayment.paymentAmount, repayment.paymentDate, { replay: true });
+    repayment.setAllocation(allocation);
+    await repayment.save();
+    await Penalty.applyPayment(loan._id, allocation.penaltyPaid, session);
+
+    const changed = ['penaltyPaid', 'interestPaid', 'principalPaid']
+      .some((field) => repayment[field] !== before[field]);
+    if (changed) {
+      await postAllocationAdjustment(repayment, before, loan, postedBy);
+    }
+  }
+
+  // Installment statuses as of today, now that every payment is applied
+  loan.refreshScheduleStatus();
+
+  const lastPaidAt = repayments.length > 0 ? repayments[repayments.length - 1].paymentDate : undefined;
+  if (!loan.completeIfPaid(lastPaidAt)) {
+    // A completed loan with a balance again goes back to Active (or Overdue)
+    if (loan.status === 'Completed' && loan.remainingBalance > 0) {
+      loan.changeStatus('Active', reason);
+      loan.completedAt = undefined;
+    }
+
+    const overdueReason = loan.getOverdueReason();
+    if (loan.status === 'Active' && overdueReason) {
+      loan.changeStatus('Overdue', `${reason}: ${overdueReason}`);
+    } else if (loan.status === 'Overdue' && !overdueReason) {
+      loan.changeStatus('Active', 'Arrears cleared by repayment');
+      loan.overdueSince = undefined;
+    }
+  }
+
+  await loan.save();
+  return repayments;
+};
+
+module.exports = { rebalanceLoan, effectiveRepaymentsQuery };
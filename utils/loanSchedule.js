@@ -0,0 +1,171 @@
+// utils/loanSchedule.js - Repayment schedule helpers
+const INSTALLMENT_STATUSES = ['Pending', 'Partially Paid', 'Paid', 'Missed'];
+
+// Round a naira amount to 2 decimal places (kobo)
+const roundMoney = (value) => Math.round((Number(value) + Number.EPSILON) * 100) / 100;
+
+// Add a number of periods (days, weeks or months) to a date.
+// Months keep the start day, clamped to the end of shorter months
+// (31 Jan + 1 month = 28/29 Feb), so always count from the original start date.
+const addPeriods = (date, periods, tenureUnit) => {
+  const result = new Date(date);
+
+  switch (tenureUnit) {
+    case 'days':
+      result.setDate(result.getDate() + periods);
+      break;
+    case 'weeks':
+      result.setDate(result.getDate() + (periods * 7));
+      break;
+    case 'months': {
+      const day = result.getDate();
+      result.setDate(1);
+      result.setMonth(result.getMonth() + periods);
+      const lastDay = new Date(result.getFullYear(), result.getMonth() + 1, 0).getDate();
+      result.setDate(Math.min(day, lastDay));
+      break;
+    }
+    default:
+      throw new Error(`Unsupported tenure unit: ${tenureUnit}`);
+  }
+
+  return result;
+};
+
+// Per-period [principal, interest] split for each interest method.
+// Any rounding difference is carried by the last installment so the
+// schedule always adds up to the loan's totals.
+const periodSplits = {
+  // Flat: principal and the total interest spread evenly
+  flat: ({ principalAmount, interestAmount, tenure }) => {
+    const principalPerPeriod = roundMoney(principalAmount / tenure);
+    const interestPerPeriod = roundMoney(interestAmount / tenure);
+
+    return Array.from({ length: tenure }, (value, index) => (
+      index === tenure - 1
+        ? [
+          roundMoney(principalAmount - (principalPerPeriod * (tenure - 1))),
+          roundMoney(interestAmount - (interestPerPeriod * (tenure - 1)))
+        ]
+        : [principalPerPeriod, interestPerPeriod]
+    ));
+  },
+
+  // Reducing balance, equal installments (annuity): interest on the outstanding balance
+  'reducing-balance-equal-installment': ({ principalAmount, interestRate, tenure }) => {
+    const rate = interestRate / 100;
+    const payment = rate === 0
+      ? principalAmount / tenure
+      : (principalAmount * rate) / (1 - Math.pow(1 + rate, -tenure));
+
+    let balance = principalAmount;
+    return Array.from({ length: tenure }, (value, index) => {
+      const interestDue = roundMoney(balance * rate);
+      const principalDue = index === tenure - 1 ? roundMoney(balance) : roundMoney(payment - interestDue);
+      balance = roundMoney(balance - principalDue);
+      return [principalDue, interestDue];
+    });
+  },
+
+  // Reducing balance, equal principal: fixed principal plus interest on the outstanding balance
+  'reducing-balance-equal-principal': ({ principalAmount, interestRate, tenure }) => {
+    const rate = interestRate / 100;
+    const principalPerPeriod = roundMoney(principalAmount / tenure);
+
+    let balance = principalAmount;
+    return Array.from({ length: tenure }, (value, index) => {
+      const interestDue = roundMoney(balance * rate);
+      const principalDue = index === tenure - 1 ? roundMoney(balance) : principalPerPeriod;
+      balance = roundMoney(balance - principalDue);
+      return [principalDue, interestDue];
+    });
+  }
+};
+
+const INTEREST_METHODS = Object.keys(periodSplits);
+
+// Build one installment per period using the loan's interest method.
+// Flat loans use interestAmount; reducing-balance loans use interestRate as a per-period rate.
+const buildSchedule = ({
+  principalAmount,
+  interestAmount,
+  interestRate,
+  interestMethod = 'flat',
+  tenure,
+  tenureUnit,
+  startDate
+}) => {
+  if (!tenure || tenure < 1) {
+    throw new Error('Tenure must be at least 1 period to build a schedule');
+  }
+
+  const split = periodSplits[interestMethod];
+  if (!split) {
+    throw new Error(`Unsupported interest method: ${interestMethod}`);
+  }
+
+  return split({ principalAmount, interestAmount, interestRate, tenure }).map(([principalDue, interestDue], index) => ({
+    installmentNumber: index + 1,
+    dueDate: addPeriods(startDate, index + 1, tenureUnit),
+    principalDue,
+    interestDue,
+    totalDue: roundMoney(principalDue + interestDue),
+    amountPaid: 0,
+    status: 'Pending'
+  }));
+};
+
+// Work out an installment's status from what has been paid and the as-of date
+const installmentStatus = (installment, asOf = new Date()) => {
+  if (installment.amountPaid >= installment.totalDue) return 'Paid';
+  if (new Date(installment.dueDate) < asOf) return 'Missed';
+  if (installment.amountPaid > 0) return 'Partially Paid';
+  return 'Pending';
+};
+
+// Whole days between two dates (never negative)
+const daysBetween = (from, to) => {
+  const MS_PER_DAY = 24 * 60 * 60 * 1000;
+  return Math.max(0, Math.floor((new Date(to) - new Date(from)) / MS_PER_DAY));
+};
+
+// Oldest installment that is past due and not fully paid as of the given date
+const oldestMissedInstallment = (schedule, asOf = new Date()) => {
+  return (schedule || []).find((installment) => installmentStatus(installment, asOf) === 'Missed') || null;
+};
+
+// Days past due, counted from the oldest missed installment
+const daysPastDue = (schedule, asOf = new Date()) => {
+  const missed = oldestMissedInstallment(schedule, asOf);
+  return missed ? daysBetween(missed.dueDate, asOf) : 0;
+};
+
+// Copy of a schedule with a cumulative amount paid filled in oldest first
+const scheduleWithAmountPaid = (schedule, amountPaid) => {
+  let remaining = roundMoney(amountPaid);
+
+  return (schedule || []).map((installment) => {
+    const applied = Math.max(0, Math.min(installment.totalDue, remaining));
+    remaining = roundMoney(remaining - applied);
+
+    return {
+      installmentNumber: installment.installmentNumber,
+      dueDate: installment.dueDate,
+      totalDue: installment.totalDue,
+      amountPaid: roundMoney(applied)
+    };
+  });
+};
+
+module.exports = {
+  INSTALLMENT_STATUSES,
+  INTEREST_METHODS,
+  roundMoney,
+  addPeriods,
+  buildSchedule,
+  installmentStatus,
+  daysBetween,
+  oldestMissedInstallment,
+  daysPastDue,
+  scheduleWithAmountPaid
+};
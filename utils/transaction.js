@@ -0,0 +1,39 @@
+// utils/transaction.js - Run multi-document writes atomically
+const mongoose = require('mongoose');
+
+// Same budget the driver gives transient transaction errors
+const RETRY_TIME_LIMIT_MS = 120000;
+
+// Error that aborts the transaction and is reported to the client with its status
+const transactionError = (status, message) => Object.assign(new Error(message), { status });
+
+// Short randomised pause so writers racing on the same loan stop colliding
+const backOff = (attempt) => new Promise((resolve) => setTimeout(resolve, Math.random() * Math.min(100, 10 * attempt)));
+
+// Run work(session) in a transaction. Transient write conflicts are retried by the
+// driver; a VersionError (the loan changed since it was read) retries the whole
+// unit of work until the time limit, so work must (re)load the documents it
+// changes using the session.
+const withTransaction = async (work) => {
+  const started = Date.now();
+
+  for (let attempt = 1; ; attempt++) {
+    const session = await mongoose.startSession();
+
+    try {
+      let result;
+      await session.withTransaction(async () => {
+        result = await work(session);
+      });
+      return result;
+    } catch (error) {
+      if (!(error instanceof mongoose.Error.VersionError) || Date.now() - started >= RETRY_TIME_LIMIT_MS) throw error;
+    } finally {
+      await session.endSession();
+    }
+
+    await backOff(attempt);
+  }
+};
+
+module.exports = { withTransaction, transactionError };